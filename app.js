@@ -10,12 +10,35 @@ const BACKEND_URL = 'https://group-chart-2.onrender.com';
 
 const state = {
   socket: null,
-  room: null, // { name, code }
-  me: { name: '', color: '' },
+  rooms: new Map(), // code -> joined room: { name, code, visibility, topic, role, commands, history,
+                    //   reads, lastReadId, dividerSeen, members, unread, scroll, list (its <ul>) }
+  room: null, // the joined room on screen
+  token: localStorage.getItem('sessionToken') || null,
+  me: { id: null, name: '', color: '', guest: true },
   typingTimer: null,
+  typingSentAt: 0, // when typing: true last went out
   pcMap: new Map(), // peerId -> RTCPeerConnection
+  negotiation: new Map(), // peerId -> { polite, makingOffer, ignoreOffer, settingAnswer, restartTimer }
+  iceServers: [], // from the server when we join a call
+  callPeers: new Map(), // peerId -> { name, audio, video } for the tile labels
+  speaker: { context: null, meters: new Map(), timer: null, active: null, heardAt: 0 }, // audio levels per tile
+  stats: { shown: false, timer: null, last: new Map() }, // getStats() overlay; last: peerId -> byte counts
   streams: { local: null },
-  inCall: false
+  inCall: false,
+  callCode: null, // room of the call we are in
+  replyTo: null, // message being replied to
+  threadId: null, // id of the message whose thread is open
+  readTimer: null,
+  presence: { chosen: localStorage.getItem('presence') || 'online', idle: false, sent: null, idleTimer: null },
+  hint: { items: [], index: 0 },
+  search: { requestId: 0, params: null, oldestId: null },
+  pendingJump: null, // search result id to show once older history has loaded
+  dms: new Map(), // conversation id -> { id, peer, lastMessageAt, lastReadId, peerReadId, unread }
+  dm: null, // { id, history } while a direct-message conversation is open instead of the room
+  scheduled: [], // our messages waiting to be sent: [{ id, sendAt, code, conversation, roomName, text, expiresIn }]
+  outbox: new Map(), // clientId -> { clientId, userId, payload, attachment, createdAt, status, error } until the server acks it
+  resume: null, // token naming our rooms, to get them back after a reconnect (see resumeRooms)
+  rejoining: new Set() // rooms joined again without a resume token; they stay in the background
 };
 
 function resolveImageUrl(u) {
@@ -24,131 +47,1720 @@ function resolveImageUrl(u) {
   return `${BACKEND_URL}${u.startsWith('/') ? u : '/' + u}`;
 }
 
+function fmtSize(bytes) {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function attachmentIcon(att) {
+  if (att.kind === 'video') return '🎬';
+  if (att.kind === 'audio') return '🎵';
+  if (att.mimetype === 'application/pdf') return '📕';
+  if (/zip|gzip/.test(att.mimetype || '')) return '🗜️';
+  if (/^text\//.test(att.mimetype || '')) return '📄';
+  return '📎';
+}
+
+function attachmentLabel(msg) {
+  if (msg.attachment && msg.attachment.kind !== 'image') return `[${msg.attachment.name}]`;
+  return msg.imageUrl ? '[image]' : '';
+}
+
+// Download card for any attachment, with an inline player for audio and video
+function attachmentElement(att) {
+  const wrap = document.createDocumentFragment();
+  const url = resolveImageUrl(att.url);
+  if (att.kind === 'video' || att.kind === 'audio') {
+    const player = document.createElement(att.kind);
+    player.controls = true;
+    player.preload = 'metadata';
+    player.src = url;
+    wrap.appendChild(player);
+  }
+  const card = document.createElement('a');
+  card.className = 'attachment';
+  card.href = url;
+  card.target = '_blank';
+  card.rel = 'noopener';
+  card.download = att.name || '';
+  const icon = document.createElement('span');
+  icon.className = 'icon';
+  icon.textContent = attachmentIcon(att);
+  const info = document.createElement('span');
+  info.className = 'info';
+  const name = document.createElement('span');
+  name.className = 'name';
+  name.textContent = att.name || 'file';
+  const size = document.createElement('span');
+  size.className = 'size';
+  size.textContent = fmtSize(att.size);
+  info.append(name, size);
+  card.append(icon, info);
+  wrap.appendChild(card);
+  return wrap;
+}
+
+const THUMB_DISPLAY_MAX = 360;
+
+// Inline image showing the thumbnail when there is one. Known dimensions let
+// the list reserve the space up front instead of reflowing once it loads.
+function imageElement(msg) {
+  const att = msg.attachment && msg.attachment.kind === 'image' ? msg.attachment : {};
+  const full = resolveImageUrl(att.url || msg.imageUrl);
+  const img = document.createElement('img');
+  img.src = att.thumbUrl ? resolveImageUrl(att.thumbUrl) : full;
+  img.alt = att.name || 'image';
+  img.loading = 'lazy';
+  if (att.width && att.height) {
+    img.width = att.width;
+    img.height = att.height;
+    img.style.maxWidth = `${Math.min(att.width, THUMB_DISPLAY_MAX)}px`;
+    img.classList.add('sized');
+  }
+  img.addEventListener('click', () => openLightbox(full, img.alt));
+  return img;
+}
+
+function openLightbox(src, alt) {
+  $('#lightboxImg').src = src;
+  $('#lightboxImg').alt = alt || '';
+  $('#lightbox').classList.remove('hidden');
+}
+
+function closeLightbox() {
+  $('#lightbox').classList.add('hidden');
+  $('#lightboxImg').removeAttribute('src');
+}
+
 function fmtTime(ts) {
   const d = new Date(ts);
   return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
-function setTheme(theme) {
-  document.documentElement.dataset.theme = theme;
-  localStorage.setItem('theme', theme);
+function fmtCountdown(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Disappearing messages tick down until the server removes them
+function updateCountdowns() {
+  $$('.expiry[data-expires-at]').forEach(el => {
+    el.textContent = `⏳ ${fmtCountdown(Number(el.dataset.expiresAt) - Date.now())}`;
+  });
+}
+
+function setTheme(theme) {
+  document.documentElement.dataset.theme = theme;
+  localStorage.setItem('theme', theme);
+}
+
+function toast(text) {
+  console.log('[toast]', text);
+}
+
+const ROLE_BADGES = { owner: '★', moderator: '🛡' };
+const PRESENCE_LABELS = { online: 'Online', away: 'Away', dnd: 'Do not disturb', offline: 'Offline' };
+const IDLE_MS = 5 * 60 * 1000;
+
+function fmtAgo(ts) {
+  const minutes = Math.floor((Date.now() - ts) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(ts).toLocaleDateString();
+}
+
+// Do-not-disturb is a choice; away is what an idle online tab turns into
+function sendPresence() {
+  const p = state.presence;
+  const current = p.chosen === 'dnd' ? 'dnd' : p.idle ? 'away' : 'online';
+  if (!state.socket || !state.socket.connected || current === p.sent) return;
+  p.sent = current;
+  state.socket.emit('presence:set', { state: current });
+}
+
+function markActive() {
+  const p = state.presence;
+  clearTimeout(p.idleTimer);
+  p.idleTimer = setTimeout(() => {
+    p.idle = true;
+    sendPresence();
+  }, IDLE_MS);
+  if (p.idle) {
+    p.idle = false;
+    sendPresence();
+  }
+}
+
+function choosePresence(value) {
+  state.presence.chosen = value === 'dnd' ? 'dnd' : 'online';
+  localStorage.setItem('presence', state.presence.chosen);
+  sendPresence();
+}
+
+function isStaffRole(role) {
+  return role === 'owner' || role === 'moderator';
+}
+
+// Mirrors the server rule: owners act on anyone else, moderators on plain members
+function canModerate(target) {
+  if (!state.room || target.id === state.me.id) return false;
+  if (state.room.role === 'owner') return target.role !== 'owner';
+  return state.room.role === 'moderator' && target.role === 'member';
+}
+
+function askMinutes(what) {
+  const input = prompt(`${what} for how many minutes? (0 = until lifted)`, '10');
+  if (input === null) return null;
+  const minutes = Number(input);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+}
+
+function moderationButtons(m) {
+  const box = document.createElement('span');
+  box.className = 'mod-actions';
+  if (m.presence !== 'offline') {
+    box.appendChild(actionButton('👢', `Kick ${m.name}`, () => emitRoom('mod:kick', { userId: m.id })));
+  }
+  box.appendChild(actionButton(m.muted ? '🔊' : '🔇', m.muted ? `Unmute ${m.name}` : `Mute ${m.name}`, () => {
+    if (m.muted) { emitRoom('mod:unmute', { userId: m.id }); return; }
+    const minutes = askMinutes(`Mute ${m.name}`);
+    if (minutes !== null) emitRoom('mod:mute', { userId: m.id, minutes });
+  }));
+  box.appendChild(actionButton('⛔', `Ban ${m.name}`, () => {
+    const minutes = askMinutes(`Ban ${m.name}`);
+    if (minutes === null) return;
+    const byIp = confirm('Also ban their IP address?');
+    emitRoom('mod:ban', { userId: m.id, minutes, byIp });
+  }));
+  return box;
+}
+
+function renderBans(bans) {
+  const list = $('#banList');
+  list.innerHTML = '';
+  bans.forEach(b => {
+    const li = document.createElement('li');
+    const until = b.until ? ` until ${fmtTime(b.until)}` : '';
+    li.textContent = `${b.name || 'Someone'}${b.byIp ? ' (IP)' : ''}${until}`;
+    if (b.canLift) li.appendChild(actionButton('Unban', '', () => emitRoom('mod:unban', { userId: b.userId })));
+    list.appendChild(li);
+  });
+  $('#noBans').classList.toggle('hidden', bans.length > 0);
+}
+
+function moderationText({ action, name, by, until }) {
+  const span = until ? ` until ${fmtTime(until)}` : '';
+  switch (action) {
+    case 'kick': return `${name} was removed by ${by}`;
+    case 'ban': return `${name} was banned by ${by}${span}`;
+    case 'unban': return `${name} was unbanned by ${by}`;
+    case 'mute': return `${name} was muted by ${by}${span}`;
+    case 'unmute': return `${name} was unmuted by ${by}`;
+    case 'remove': return `A message by ${name} was removed by ${by}`;
+    default: return `${by} moderated ${name}`;
+  }
+}
+
+function renderMembers(members) {
+  const list = $('#memberList');
+  list.innerHTML = '';
+  renderRoomSettings();
+  members.forEach(m => {
+    const li = document.createElement('li');
+    li.classList.toggle('offline', m.presence === 'offline');
+    const dot = document.createElement('span');
+    dot.className = `presence-dot ${m.presence}`;
+    dot.title = PRESENCE_LABELS[m.presence] || '';
+    const name = document.createElement('span');
+    name.textContent = m.name;
+    name.style.color = m.color || '';
+    if (m.connections > 1) name.title = `${m.connections} connections`;
+    li.append(dot, name);
+    if (m.presence === 'offline' && m.lastSeen) {
+      const seen = document.createElement('span');
+      seen.className = 'last-seen';
+      seen.textContent = `last seen ${fmtAgo(m.lastSeen)}`;
+      li.appendChild(seen);
+    }
+    if (ROLE_BADGES[m.role]) {
+      const badge = document.createElement('span');
+      badge.className = 'role-badge';
+      badge.title = m.role;
+      badge.textContent = ROLE_BADGES[m.role];
+      li.appendChild(badge);
+    }
+    if (m.muted) {
+      const badge = document.createElement('span');
+      badge.className = 'role-badge';
+      badge.title = 'muted';
+      badge.textContent = '🔇';
+      li.appendChild(badge);
+    }
+    if (state.room?.call?.participants?.some(p => p.id === m.id)) {
+      const badge = document.createElement('span');
+      badge.className = 'role-badge';
+      badge.title = 'in the call';
+      badge.textContent = '📞';
+      li.appendChild(badge);
+    }
+    if (m.id !== state.me.id && m.presence !== 'offline') {
+      li.appendChild(actionButton('💬', `Message ${m.name}`, () => openDm(m.id)));
+    }
+    if (canModerate(m)) li.appendChild(moderationButtons(m));
+    // Owners can promote and demote everyone else
+    if (state.room?.role === 'owner' && m.role !== 'owner') {
+      const promote = m.role !== 'moderator';
+      li.appendChild(actionButton(promote ? 'Make mod' : 'Remove mod', '', () => {
+        emitRoom('room:role', { userId: m.id, role: promote ? 'moderator' : 'member' });
+      }));
+    }
+    list.appendChild(li);
+  });
+  $('#membersCount').textContent = members.filter(m => m.presence !== 'offline').length;
+}
+
+function renderRoomSettings() {
+  const box = $('#roomSettings');
+  const isOwner = state.room?.role === 'owner';
+  box.classList.toggle('hidden', !isOwner);
+  $('#modPanel').classList.toggle('hidden', !isStaffRole(state.room?.role));
+  if (isOwner && document.activeElement !== $('#settingsVisibility')) {
+    $('#settingsVisibility').value = state.room.visibility || 'public';
+  }
+  if (state.dm) return; // the header belongs to the open conversation
+  $('#roomCode').textContent = state.room
+    ? `#${state.room.code}${state.room.visibility && state.room.visibility !== 'public' ? ' 🔒' : ''}`
+    : '';
+  $('#roomTopic').textContent = state.room?.topic || '';
+}
+
+function saveRoomSettings() {
+  const visibility = $('#settingsVisibility').value;
+  const password = $('#settingsPassword').value;
+  if (visibility === 'password' && !password) { toast('Enter a room password'); return; }
+  emitRoom('room:settings', { visibility, password });
+  $('#settingsPassword').value = '';
+}
+
+function isMine(msg) {
+  return !!state.me.id && msg.userId === state.me.id;
+}
+
+// Markdown-lite: ```fenced``` and `inline` code, **bold**, *italic* / _italic_,
+// [text](url) and bare links, and @mentions. Output is built from DOM nodes;
+// message text is never parsed as HTML.
+const INLINE_RE = /(`[^`\n]+`)|\*\*([^*\n]+?)\*\*|(?<!\w)([*_])([^*_\s](?:[^*_\n]*[^*_\s])?)\3(?!\w)|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|(https?:\/\/[^\s<>()]+[^\s<>().,:;!?"'])|(?<![\w@])@/g;
+
+function linkElement(href, text) {
+  const a = document.createElement('a');
+  a.href = href;
+  a.textContent = text;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer nofollow';
+  return a;
+}
+
+function renderInline(text, mentions) {
+  const frag = document.createDocumentFragment();
+  let last = 0;
+  const re = new RegExp(INLINE_RE); // own lastIndex, since bold and italic recurse
+  for (let m = re.exec(text); m; m = re.exec(text)) {
+    let node = null;
+    let end = re.lastIndex;
+    if (m[1]) {
+      node = document.createElement('code');
+      node.textContent = m[1].slice(1, -1);
+    } else if (m[2]) {
+      node = document.createElement('strong');
+      node.appendChild(renderInline(m[2], mentions));
+    } else if (m[3]) {
+      node = document.createElement('em');
+      node.appendChild(renderInline(m[4], mentions));
+    } else if (m[5]) {
+      node = linkElement(m[6], m[5]);
+    } else if (m[7]) {
+      node = linkElement(m[7], m[7]);
+    } else {
+      // '@': highlight it when the server resolved a member by that name
+      const rest = text.slice(end).toLowerCase();
+      const who = mentions.find(p => rest.startsWith(p.name.toLowerCase()) && !/\w/.test(rest.charAt(p.name.length)));
+      if (who) {
+        node = document.createElement('span');
+        node.className = `mention${who.id === state.me.id ? ' me' : ''}`;
+        node.textContent = `@${text.substr(end, who.name.length)}`;
+        end += who.name.length;
+      }
+    }
+    if (!node) continue;
+    frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+    frag.appendChild(node);
+    last = end;
+    re.lastIndex = end;
+  }
+  frag.appendChild(document.createTextNode(text.slice(last)));
+  return frag;
+}
+
+function renderMarkup(text, mentions = []) {
+  const frag = document.createDocumentFragment();
+  const parts = text.split('```');
+  // An unclosed fence stays literal
+  if (parts.length % 2 === 0) {
+    const tail = parts.pop();
+    parts.push(`${parts.pop()}\`\`\`${tail}`);
+  }
+  parts.forEach((part, i) => {
+    if (i % 2 === 0) {
+      frag.appendChild(renderInline(part, [...mentions].sort((a, b) => b.name.length - a.name.length)));
+      return;
+    }
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    // Drop a language tag on the opening line, e.g. ```js
+    code.textContent = part.replace(/^[\w+-]*\n/, '').replace(/\n$/, '');
+    pre.appendChild(code);
+    frag.appendChild(pre);
+  });
+  return frag;
+}
+
+function previewElement(preview) {
+  const card = linkElement(preview.url, '');
+  card.className = 'link-preview';
+  const site = document.createElement('span');
+  site.className = 'site';
+  site.textContent = preview.siteName || '';
+  const title = document.createElement('span');
+  title.className = 'title';
+  title.textContent = preview.title;
+  const desc = document.createElement('span');
+  desc.className = 'desc';
+  desc.textContent = preview.description || '';
+  card.append(site, title, desc);
+  if (preview.image) {
+    const img = document.createElement('img');
+    img.src = preview.image;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.referrerPolicy = 'no-referrer';
+    card.appendChild(img);
+  }
+  return card;
+}
+
+function mentionsMe(msg) {
+  return !!msg.mentions && msg.mentions.some(p => p.id === state.me.id);
+}
+
+// Let the mentioned person know, unless they asked not to be disturbed
+function notifyMention(msg) {
+  if (isMine(msg) || !mentionsMe(msg) || state.presence.chosen === 'dnd') return;
+  toast(`${msg.author} mentioned you`);
+  if (document.visibilityState !== 'visible' && 'Notification' in window && Notification.permission === 'granted') {
+    new Notification(`${msg.author} mentioned you`, { body: msg.text.slice(0, 140), tag: `mention-${msg.id}` });
+  }
+}
+
+// `room` decides which moderation actions show; messages render for the room they belong to
+function messageElement(msg, room = state.room) {
+  const tpl = $('#messageTpl');
+  const li = tpl.content.firstElementChild.cloneNode(true);
+  const avatar = li.querySelector('.avatar');
+  const author = li.querySelector('.author');
+  const time = li.querySelector('.time');
+  const content = li.querySelector('.content');
+
+  avatar.style.background = msg.color || '#334155';
+  author.textContent = msg.author || 'System';
+  time.textContent = fmtTime(msg.ts || Date.now());
+  if (msg.id != null) li.dataset.id = msg.id;
+  if (msg.clientId) li.dataset.clientId = msg.clientId;
+  if (msg.conversation) li.dataset.conversation = msg.conversation;
+
+  // Mark self messages and set initials
+  if (isMine(msg)) {
+    li.classList.add('self');
+  }
+  const initials = (msg.author || 'S').split(/\s+/).map(s => s[0]).join('').slice(0,2).toUpperCase();
+  avatar.textContent = initials;
+
+  if (msg.deleted) {
+    const p = document.createElement('p');
+    p.className = 'tombstone';
+    p.textContent = msg.expired ? 'Message expired' : 'Message deleted';
+    content.appendChild(p);
+    return li;
+  }
+  if (msg.editedAt) li.querySelector('.edited').classList.remove('hidden');
+  if (msg.expiresAt) {
+    const expiry = li.querySelector('.expiry');
+    expiry.dataset.expiresAt = msg.expiresAt;
+    expiry.textContent = `⏳ ${fmtCountdown(msg.expiresAt - Date.now())}`;
+    expiry.classList.remove('hidden');
+  }
+  if (isMine(msg) && msg.id != null) renderSeen(li, room);
+
+  if (msg.replyTo) {
+    const quote = document.createElement('div');
+    quote.className = 'quote';
+    quote.title = 'Jump to message';
+    const who = document.createElement('strong');
+    who.textContent = msg.replyTo.author || 'Unknown';
+    quote.append(who, document.createTextNode(msg.replyTo.text || ''));
+    quote.addEventListener('click', () => jumpToMessage(msg.replyTo.id));
+    content.appendChild(quote);
+  }
+
+  if (msg.text) {
+    const text = document.createElement('div');
+    text.className = 'text';
+    if (msg.action) {
+      text.classList.add('action');
+      text.append(`${msg.author} `);
+    }
+    text.appendChild(renderMarkup(msg.text, msg.mentions || []));
+    content.appendChild(text);
+  }
+  if (mentionsMe(msg) && !isMine(msg)) li.classList.add('mentioned');
+  if (msg.preview) content.appendChild(previewElement(msg.preview));
+  if (msg.imageUrl) {
+    content.appendChild(imageElement(msg));
+  } else if (msg.attachment) {
+    content.appendChild(attachmentElement(msg.attachment));
+  }
+
+  // Reactions, replies and edits are room features
+  if (msg.conversation) return li;
+
+  if (msg.id != null) {
+    renderReactions(li, msg.reactions);
+    const actions = li.querySelector('.msg-actions');
+    actions.appendChild(actionButton('☺', 'React', () => toggleEmojiPicker(li, msg.id)));
+    actions.appendChild(actionButton('↩', 'Reply', () => startReply(msg)));
+    actions.appendChild(actionButton('🧵', 'View thread', () => openThread(msg.replyTo ? msg.replyTo.id : msg.id)));
+  }
+
+  // Only the user who sent a message may edit or delete it
+  if (msg.id != null && isMine(msg)) {
+    const actions = li.querySelector('.msg-actions');
+    if (msg.text) actions.appendChild(actionButton('✏️', 'Edit', () => beginEdit(li, msg)));
+    actions.appendChild(actionButton('🗑️', 'Delete', () => {
+      if (confirm('Delete this message?')) emitRoom('message:delete', { id: msg.id });
+    }));
+  } else if (msg.id != null && isStaffRole(room?.role)) {
+    li.querySelector('.msg-actions').appendChild(actionButton('🗑️', 'Remove message', () => {
+      if (confirm(`Remove this message by ${msg.author}?`)) emitRoom('mod:remove', { id: msg.id });
+    }));
+  }
+  return li;
+}
+
+function actionButton(label, title, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+function renderReactions(li, reactions) {
+  const box = li.querySelector('.reactions');
+  box.innerHTML = '';
+  const id = Number(li.dataset.id);
+  Object.entries(reactions || {}).forEach(([emoji, reactors]) => {
+    const mine = reactors.some(r => r.id === state.me.id);
+    const chip = actionButton(`${emoji} ${reactors.length}`, reactors.map(r => r.name).join(', '), () => {
+      emitRoom(mine ? 'message:unreact' : 'message:react', { id, emoji });
+    });
+    chip.classList.toggle('mine', mine);
+    box.appendChild(chip);
+  });
+}
+
+function toggleEmojiPicker(li, id) {
+  const existing = li.querySelector('.emoji-picker');
+  if (existing) { existing.remove(); return; }
+  const picker = document.createElement('div');
+  picker.className = 'emoji-picker';
+  QUICK_REACTIONS.forEach(emoji => {
+    picker.appendChild(actionButton(emoji, `React with ${emoji}`, () => {
+      emitRoom('message:react', { id, emoji });
+      picker.remove();
+    }));
+  });
+  li.querySelector('.bubble').appendChild(picker);
+}
+
+// Swap the message text for an inline input; Enter saves, Escape cancels
+function beginEdit(li, msg) {
+  const p = li.querySelector('.content .text');
+  if (!p || li.querySelector('.edit-input')) return;
+  const input = document.createElement('input');
+  input.className = 'edit-input';
+  input.value = msg.text;
+  p.replaceWith(input);
+  input.focus();
+  const finish = (save) => {
+    input.replaceWith(p);
+    const text = input.value.trim();
+    if (save && text && text !== msg.text) emitRoom('message:edit', { id: msg.id, text });
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => { if (input.isConnected) finish(false); });
+}
+
+// Re-render an existing message in place after an edit or delete
+function patchMessage(msg) {
+  $$(`.message-list li[data-id="${msg.id}"], #dmList li[data-id="${msg.id}"], #threadList li[data-id="${msg.id}"]`).forEach(old => {
+    const room = state.rooms.get(old.closest('.message-list')?.dataset.code);
+    const li = messageElement(msg, room || state.room);
+    li.style.animation = 'none';
+    li.style.opacity = '1';
+    old.replaceWith(li);
+  });
+}
+
+function startReply(msg) {
+  state.replyTo = msg;
+  $('#replyAuthor').textContent = msg.author || 'Unknown';
+  $('#replyText').textContent = msg.text || attachmentLabel(msg);
+  $('#replyBar').classList.remove('hidden');
+  $('#messageInput').focus();
+}
+
+function cancelReply() {
+  state.replyTo = null;
+  $('#replyBar').classList.add('hidden');
+}
+
+// Scroll to a loaded message and flash it; fall back to the thread view
+function jumpToMessage(id) {
+  const li = state.room?.list.querySelector(`li[data-id="${id}"]`);
+  if (!li) { openThread(id); return; }
+  li.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  li.classList.add('flash');
+  setTimeout(() => li.classList.remove('flash'), 1200);
+}
+
+function toggleSearch(open) {
+  const panel = $('#searchPanel');
+  panel.classList.toggle('hidden', !open);
+  if (open) $('#searchQuery').focus();
+}
+
+function clearSearch() {
+  toggleSearch(false);
+  $('#searchResults').innerHTML = '';
+  $('#searchEmpty').classList.add('hidden');
+  $('#searchMoreBtn').classList.add('hidden');
+  state.search = { requestId: state.search.requestId, params: null, oldestId: null };
+  state.pendingJump = null;
+}
+
+// Local calendar days from the date inputs; `to` includes the whole day
+function dayStart(value, addDays = 0) {
+  if (!value) return null;
+  const d = new Date(`${value}T00:00`);
+  d.setDate(d.getDate() + addDays);
+  return d.getTime();
+}
+
+function runSearch(more = false) {
+  if (!state.room) return;
+  const s = state.search;
+  if (!more) {
+    s.params = {
+      query: $('#searchQuery').value.trim(),
+      author: $('#searchAuthor').value.trim() || undefined,
+      from: dayStart($('#searchFrom').value),
+      to: dayStart($('#searchTo').value, 1),
+      hasImage: $('#searchHasImage').checked
+    };
+    s.oldestId = null;
+  }
+  if (!s.params) return;
+  s.requestId++;
+  emitRoom('message:search', { ...s.params, requestId: s.requestId, before: more ? s.oldestId : undefined });
+}
+
+function snippetElement({ text, highlights }) {
+  const frag = document.createDocumentFragment();
+  let last = 0;
+  (highlights || []).forEach(([start, end]) => {
+    frag.append(text.slice(last, start));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    frag.appendChild(mark);
+    last = end;
+  });
+  frag.append(text.slice(last));
+  return frag;
+}
+
+function renderSearchResults({ before, results, hasMore }) {
+  const list = $('#searchResults');
+  if (before == null) list.innerHTML = '';
+  results.forEach(r => {
+    const li = document.createElement('li');
+    const meta = document.createElement('div');
+    meta.className = 'result-meta';
+    const who = document.createElement('strong');
+    who.textContent = r.author;
+    who.style.color = r.color || '';
+    meta.append(who, `${new Date(r.ts).toLocaleString()}${r.hasImage ? ' · 🖼️' : ''}`);
+    const body = document.createElement('div');
+    body.appendChild(snippetElement(r));
+    li.append(meta, body);
+    li.addEventListener('click', () => showSearchResult(r.id));
+    list.appendChild(li);
+  });
+  if (results.length) state.search.oldestId = results[results.length - 1].id;
+  $('#searchEmpty').classList.toggle('hidden', list.children.length > 0);
+  $('#searchMoreBtn').classList.toggle('hidden', !hasMore);
+}
+
+// Results can be older than what is loaded, so page back through history until it appears
+function showSearchResult(id) {
+  if (!state.room) return;
+  if (state.room.list.querySelector(`li[data-id="${id}"]`)) {
+    state.pendingJump = null;
+    jumpToMessage(id);
+    return;
+  }
+  if (!state.room.history.hasMore) {
+    toast('That message is no longer available');
+    return;
+  }
+  state.pendingJump = id;
+  loadOlderMessages();
+}
+
+function openThread(id) {
+  state.threadId = id;
+  $('#threadList').innerHTML = '';
+  $('#threadPanel').classList.remove('hidden');
+  emitRoom('message:thread', { id });
+}
+
+function closeThread() {
+  state.threadId = null;
+  $('#threadPanel').classList.add('hidden');
+  $('#threadList').innerHTML = '';
+}
+
+function renderThread({ parent, replies }) {
+  const list = $('#threadList');
+  list.innerHTML = '';
+  [parent, ...replies].forEach(m => list.appendChild(messageElement(m)));
+}
+
+function appendMessage(msg, room = state.room) {
+  if (!room) return;
+  room.list.appendChild(messageElement(msg, room));
+  room.list.scrollTop = room.list.scrollHeight;
+}
+
+function appendSystem(code, text, ts) {
+  const room = state.rooms.get(code);
+  if (room) appendMessage({ author: 'System', color: '#64748b', text, ts }, room);
+}
+
+// A new message in a joined room. Mark where unseen messages start when they
+// arrive while we are away or looking at something else; other rooms also count them
+function receiveRoomMessage(msg, room) {
+  const onScreen = room === state.room && !state.dm;
+  const away = !isMine(msg) && (!onScreen || document.visibilityState !== 'visible');
+  if (!replacePending(msg, room)) appendMessage(msg, room);
+  if (away && (room.dividerSeen || !room.list.querySelector('.unread-divider'))) {
+    showUnreadDivider(room, msg.id - 1, 0);
+    room.dividerSeen = false;
+  }
+  if (away && onScreen) room.list.querySelector('.unread-divider')?.scrollIntoView({ block: 'center' });
+  if (away && !onScreen) {
+    room.unread++;
+    renderConversations();
+  }
+  notifyMention(msg);
+  scheduleReadReport();
+  if (onScreen && msg.replyTo && msg.replyTo.id === state.threadId) $('#threadList').appendChild(messageElement(msg));
+}
+
+// The room's messages, or the open conversation's
+function activeList() {
+  return state.dm ? $('#dmList') : state.room?.list;
+}
+
+// Insert an older page above the current messages without moving the view
+function prependMessages(messages, list, room = state.room) {
+  const prevHeight = list.scrollHeight;
+  const frag = document.createDocumentFragment();
+  messages.forEach(m => frag.appendChild(messageElement(m, room)));
+  list.insertBefore(frag, list.firstChild);
+  list.scrollTop += list.scrollHeight - prevHeight;
+}
+
+function setHistoryCursor(messages, hasMore, history) {
+  const first = messages.find(m => m.id != null);
+  if (first) history.oldestId = first.id;
+  history.hasMore = !!hasMore && !!first;
+}
+
+function loadOlderMessages() {
+  if (!state.room) return;
+  const h = state.dm ? state.dm.history : state.room.history;
+  if (!h.hasMore || h.loading) return;
+  h.loading = true;
+  if (state.dm) state.socket.emit('message:history', { before: h.oldestId, limit: 50, conversation: state.dm.id });
+  else emitRoom('message:history', { before: h.oldestId, limit: 50 });
+}
+
+function onMessageListScroll(e) {
+  if (e.currentTarget.scrollTop < 40) loadOlderMessages();
+  scheduleReadReport();
+}
+
+// Read receipts: how many others have read up to a message of ours
+// (in a conversation, whether the other person has)
+function renderSeen(li, room) {
+  const id = Number(li.dataset.id);
+  let text;
+  if (li.dataset.conversation) {
+    text = (state.dms.get(li.dataset.conversation)?.peerReadId || 0) >= id ? 'seen' : '';
+  } else {
+    const n = Object.entries(room?.reads || {}).filter(([userId, last]) => userId !== state.me.id && last >= id).length;
+    text = n ? `seen by ${n}` : '';
+  }
+  const seen = li.querySelector('.seen');
+  seen.textContent = text;
+  seen.classList.toggle('hidden', !text);
+}
+
+function refreshSeen(list, room) {
+  list.querySelectorAll('.message.self[data-id]').forEach(li => {
+    if (!li.querySelector('.tombstone')) renderSeen(li, room);
+  });
+}
+
+function isAtBottom(list) {
+  return list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+}
+
+// Tell the server what we have seen once the newest message is on screen
+// and the tab is visible; batched so scrolling doesn't flood the socket
+function scheduleReadReport() {
+  clearTimeout(state.readTimer);
+  state.readTimer = setTimeout(reportRead, 300);
+}
+
+function reportRead() {
+  const list = activeList();
+  if (!state.room || document.visibilityState !== 'visible' || !isAtBottom(list)) return;
+  const last = Array.from(list.querySelectorAll('li[data-id]')).pop();
+  const id = last ? Number(last.dataset.id) : 0;
+  const convo = state.dm && state.dms.get(state.dm.id);
+  if (convo) {
+    if (id > convo.lastReadId) {
+      convo.lastReadId = id;
+      convo.unread = 0;
+      state.socket.emit('message:read', { id, conversation: convo.id });
+      renderConversations();
+    }
+    return;
+  }
+  if (id > state.room.lastReadId) {
+    state.room.lastReadId = id;
+    state.room.dividerSeen = true;
+    emitRoom('message:read', { id });
+  }
+}
+
+// Divider above the first message of a room that arrived after `afterId`
+function showUnreadDivider(room, afterId, count) {
+  const list = room.list;
+  const first = Array.from(list.querySelectorAll('li[data-id]')).find(li => Number(li.dataset.id) > afterId);
+  if (!first && !count) return;
+  list.querySelector('.unread-divider')?.remove();
+  const divider = document.createElement('li');
+  divider.className = 'unread-divider';
+  divider.textContent = count ? `${count} new message${count === 1 ? '' : 's'}` : 'New messages';
+  list.insertBefore(divider, first || list.firstChild);
+  if (room === state.room && !state.dm) divider.scrollIntoView({ block: 'center' });
+}
+
+// ===== Rooms =====
+// Every joined room keeps its own list and state; one of them (or a
+// conversation) is on screen at a time.
+
+// Room events name the room they are about
+function emitRoom(event, payload = {}) {
+  if (state.room) state.socket.emit(event, { ...payload, code: state.room.code });
+}
+
+function addRoom(code) {
+  const list = document.createElement('ul');
+  list.className = 'message-list hidden';
+  list.dataset.code = code;
+  list.addEventListener('scroll', onMessageListScroll);
+  $('#dmList').before(list);
+  const room = { code, list, members: [], unread: 0, scroll: null };
+  state.rooms.set(code, room);
+  return room;
+}
+
+// Hide the room on screen, remembering where it was scrolled to (null = the bottom)
+function stashRoom() {
+  const list = state.room?.list;
+  if (!list || list.classList.contains('hidden')) return;
+  state.room.scroll = isAtBottom(list) ? null : list.scrollTop;
+  list.classList.add('hidden');
+}
+
+function showRoom(room) {
+  stashRoom();
+  if (state.dm) {
+    state.dm = null;
+    $('#dmList').classList.add('hidden');
+    $('#dmList').innerHTML = '';
+  }
+  if (state.room !== room) {
+    cancelReply();
+    closeThread();
+    clearSearch();
+  }
+  state.room = room;
+  room.list.classList.remove('hidden');
+  const divider = room.unread && room.list.querySelector('.unread-divider');
+  if (divider) divider.scrollIntoView({ block: 'center' });
+  else room.list.scrollTop = room.scroll == null ? room.list.scrollHeight : room.scroll;
+  room.unread = 0;
+  $('#roomTitle').textContent = room.name;
+  $('#typing').classList.add('hidden');
+  $('#banList').innerHTML = '';
+  renderMembers(room.members);
+  renderCallStatus();
+  updateCommandHints();
+  renderConversations();
+  scheduleReadReport();
+}
+
+// The newest message a room's list has; resuming asks for anything after it
+function lastMessageId(list) {
+  return Array.from(list.querySelectorAll('li[data-id]')).reduce((max, li) => Math.max(max, Number(li.dataset.id) || 0), 0);
+}
+
+// After a reconnect Socket.IO could not recover (a long drop or a server
+// restart) the server no longer has us in our rooms; ask for them back
+function resumeRooms() {
+  if (!state.rooms.size) return;
+  if (!state.resume) {
+    rejoinRooms();
+    return;
+  }
+  const lastIds = {};
+  state.rooms.forEach((room, code) => { lastIds[code] = lastMessageId(room.list); });
+  state.socket.emit('room:resume', { token: state.resume, lastIds });
+}
+
+// Without a usable resume token, join every room again the ordinary way
+function rejoinRooms() {
+  state.rooms.forEach((room, code) => {
+    state.rejoining.add(code);
+    state.socket.emit('room:join', { codeOrName: code });
+  });
+}
+
+// Forget a room we left or were removed from, moving to another joined room if there is one
+function dropRoom(code) {
+  const room = state.rooms.get(code);
+  if (!room) return;
+  if (state.callCode === code) endCall();
+  room.list.remove();
+  state.rooms.delete(code);
+  if (state.room !== room) {
+    renderConversations();
+    return;
+  }
+  state.room = null;
+  const next = state.rooms.values().next().value;
+  if (next) showRoom(next); else resetRoom();
+}
+
+// Public rooms from GET /api/rooms; `onPick(code)` joins one
+async function loadDirectory(list, onPick) {
+  let rooms;
+  try {
+    ({ rooms } = await api('/api/rooms'));
+  } catch (e) {
+    toast(e.message);
+    return;
+  }
+  list.innerHTML = '';
+  rooms.forEach(r => {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = r.name;
+    const info = document.createElement('span');
+    info.className = 'last-seen';
+    info.textContent = `${r.members} online${r.topic ? ` · ${r.topic}` : ''}`;
+    li.append(name, info);
+    if (state.rooms.has(r.code)) {
+      li.appendChild(actionButton('Open', `Open ${r.name}`, () => showRoom(state.rooms.get(r.code))));
+    } else {
+      li.appendChild(actionButton('Join', `Join ${r.name}`, () => onPick(r.code)));
+    }
+    list.appendChild(li);
+  });
+  if (!rooms.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No public rooms yet';
+    list.appendChild(li);
+  }
+}
+
+// ===== Direct messages =====
+// Conversations live beside the rooms: the sidebar lists the joined rooms and
+// every conversation, and opening one swaps the room's list for #dmList.
+function renderConversations() {
+  const list = $('#conversationList');
+  list.innerHTML = '';
+  state.rooms.forEach(room => {
+    list.appendChild(conversationItem(`# ${room.name}`, '', room.unread, room === state.room && !state.dm, () => showRoom(room)));
+  });
+  Array.from(state.dms.values())
+    .sort((a, b) => (b.lastMessageAt || 0) - (a.lastMessageAt || 0))
+    .forEach(c => {
+      list.appendChild(conversationItem(c.peer.name, c.peer.color, c.unread, state.dm?.id === c.id, () => openDm(c.peer.id)));
+    });
+}
+
+function renderScheduled() {
+  const list = $('#scheduledList');
+  list.innerHTML = '';
+  $('#scheduledPanel').classList.toggle('hidden', !state.scheduled.length);
+  state.scheduled.forEach(item => {
+    const li = document.createElement('li');
+    const where = item.conversation
+      ? (state.dms.get(item.code)?.peer.name || 'Direct message')
+      : `# ${item.roomName || item.code}`;
+    const when = new Date(item.sendAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const label = document.createElement('span');
+    label.textContent = `${when} · ${where}: ${item.text}`;
+    label.title = item.expiresIn ? `${item.text}\n(disappears ${item.expiresIn} min after sending)` : item.text;
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = '✕';
+    cancel.title = 'Cancel scheduled message';
+    cancel.addEventListener('click', () => state.socket.emit('schedule:cancel', { id: item.id }));
+    li.append(label, cancel);
+    list.appendChild(li);
+  });
+}
+
+function conversationItem(label, color, unread, active, onClick) {
+  const li = document.createElement('li');
+  li.className = 'conversation';
+  li.classList.toggle('active', active);
+  const name = document.createElement('span');
+  name.textContent = label;
+  name.style.color = color || '';
+  li.appendChild(name);
+  if (unread) {
+    const badge = document.createElement('span');
+    badge.className = 'unread-badge';
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    li.appendChild(badge);
+  }
+  li.addEventListener('click', onClick);
+  return li;
+}
+
+// The server answers with dm:opened, creating the conversation if needed
+function openDm(userId) {
+  state.socket.emit('dm:open', { userId });
+}
+
+function showDm({ conversation, messages, hasMore }) {
+  state.dms.set(conversation.id, conversation);
+  state.dm = { id: conversation.id, history: { oldestId: null, hasMore: false, loading: false } };
+  const list = $('#dmList');
+  list.innerHTML = '';
+  messages.forEach(m => list.appendChild(messageElement(m)));
+  setHistoryCursor(messages, hasMore, state.dm.history);
+  showPendingFor(p => p.conversation === conversation.id);
+  stashRoom();
+  list.classList.remove('hidden');
+  list.scrollTop = list.scrollHeight;
+  $('#roomTitle').textContent = conversation.peer.name;
+  $('#roomCode').textContent = 'Direct message';
+  $('#roomTopic').textContent = '';
+  renderCallStatus();
+  $('#typing').classList.add('hidden');
+  cancelReply();
+  closeThread();
+  renderConversations();
+  scheduleReadReport();
+  $('#messageInput').focus();
+}
+
+function receiveDm(msg) {
+  const convo = state.dms.get(msg.conversation);
+  // Someone started a conversation with us; the list brings its unread count
+  if (!convo) {
+    state.socket.emit('dm:list');
+    if (!isMine(msg)) notifyDm(msg);
+    return;
+  }
+  convo.lastMessageAt = msg.ts;
+  if (state.dm?.id === msg.conversation) {
+    const list = $('#dmList');
+    if (!replacePending(msg)) list.appendChild(messageElement(msg));
+    list.scrollTop = list.scrollHeight;
+    scheduleReadReport();
+    if (document.visibilityState !== 'visible' && !isMine(msg)) notifyDm(msg);
+  } else if (!isMine(msg)) {
+    convo.unread++;
+    notifyDm(msg);
+  }
+  renderConversations();
+}
+
+function notifyDm(msg) {
+  if (state.presence.chosen === 'dnd') return;
+  toast(`${msg.author}: ${msg.text.slice(0, 60)}`);
+  if (document.visibilityState !== 'visible' && 'Notification' in window && Notification.permission === 'granted') {
+    new Notification(msg.author, { body: msg.text.slice(0, 140), tag: `dm-${msg.id}` });
+  }
+}
+
+function setPanels(joined) {
+  $('#authPanel').classList.toggle('hidden', joined);
+  $('#chatPanel').classList.toggle('hidden', !joined);
+  if (!joined) loadDirectory($('#roomDirectory'), joinFromDirectory);
+}
+
+// The join screen picks a directory room the same way as typing its code
+function joinFromDirectory(code) {
+  $('#roomInput').value = code;
+  $('#joinRoomBtn').click();
+}
+
+function copyInvite() {
+  if (!state.room) return;
+  // Invite-only rooms need a fresh token; the server answers with room:invite
+  if (state.room.visibility === 'invite') {
+    emitRoom('room:invite');
+    return;
+  }
+  copyInviteLink(state.room.code);
+}
+
+function copyInviteLink(code, invite) {
+  let url = `${location.origin}/?code=${encodeURIComponent(code)}`;
+  if (invite) url += `&invite=${encodeURIComponent(invite)}`;
+  navigator.clipboard.writeText(url).then(() => toast('Invite link copied'));
+}
+
+function currentCodeOrNameInput() {
+  return $('#roomInput').value.trim();
+}
+
+// ===== Outbox =====
+// Messages are kept (in IndexedDB when available) until the server
+// acknowledges them, so nothing typed while offline or before a reload is
+// lost. Retries reuse the clientId, which the server deduplicates on.
+const OUTBOX_DB = 'group-chat-outbox';
+const ACK_TIMEOUT = 10000;
+// The server allows a burst of 10 sends, then one a second, and drops the
+// connection past that (see ratelimit.js); sends go out one at a time under it
+const SEND_BURST = 8;
+const SEND_INTERVAL = 1100;
+let outboxDb = null;
+const sendBudget = { tokens: SEND_BURST, updated: Date.now() };
+let sendChain = Promise.resolve();
+
+function openOutbox() {
+  if (!outboxDb) {
+    outboxDb = new Promise((resolve) => {
+      if (!window.indexedDB) return resolve(null);
+      const req = indexedDB.open(OUTBOX_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('messages', { keyPath: 'clientId' });
+      req.onsuccess = () => resolve(req.result);
+      // Private browsing and the like: the queue lives in memory only
+      req.onerror = () => resolve(null);
+    });
+  }
+  return outboxDb;
+}
+
+async function outboxStore(mode, fn) {
+  const db = await openOutbox();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('messages', mode);
+    const req = fn(tx.objectStore('messages'));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function saveOutboxItem(item) {
+  const { clientId, userId, payload, attachment, createdAt } = item;
+  outboxStore('readwrite', s => s.put({ clientId, userId, payload, attachment, createdAt }))
+    .catch(e => console.warn('Could not save unsent message:', e));
+}
+
+function dropOutboxItem(clientId) {
+  outboxStore('readwrite', s => s.delete(clientId))
+    .catch(e => console.warn('Could not remove sent message:', e));
+}
+
+// Messages this account left unsent in an earlier visit
+async function loadOutbox() {
+  const saved = await outboxStore('readonly', s => s.getAll()).catch(() => null);
+  (saved || [])
+    .filter(item => item.userId === state.me.id && !state.outbox.has(item.clientId))
+    .forEach(item => state.outbox.set(item.clientId, { ...item, status: 'pending', error: null }));
+}
+
+function newClientId() {
+  if (window.crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Commands and scheduled sends don't become a message right away, so they get no bubble
+function showsBubble(payload) {
+  return !payload.sendAt && !/^\/(?!\/)/.test(payload.text);
+}
+
+// `attachment` is only for showing the pending bubble of an uploaded file
+function queueSend(payload, { attachment = null } = {}) {
+  const item = {
+    clientId: newClientId(), userId: state.me.id, payload: null, attachment, createdAt: Date.now(), status: 'pending', error: null
+  };
+  item.payload = { ...payload, clientId: item.clientId };
+  state.outbox.set(item.clientId, item);
+  saveOutboxItem(item);
+  showPending(item);
+  if (!state.socket.connected) toast('You are offline - the message will be sent when you reconnect');
+  deliver(item);
+}
+
+function pendingMessage(item) {
+  const { payload, attachment } = item;
+  const msg = {
+    author: state.me.name, color: state.me.color, userId: state.me.id, ts: item.createdAt,
+    text: payload.text, clientId: item.clientId, conversation: payload.conversation
+  };
+  if (attachment) {
+    msg.attachment = attachment;
+    if (attachment.kind === 'image') msg.imageUrl = attachment.url;
+  }
+  return msg;
+}
+
+// Where an outbox item's bubble lives, if its room or conversation is on the page
+function pendingList(item) {
+  const { code, conversation } = item.payload;
+  if (conversation) return state.dm?.id === conversation ? $('#dmList') : null;
+  return state.rooms.get(code)?.list || null;
 }
 
-function toast(text) {
-  console.log('[toast]', text);
+function showPending(item) {
+  if (!showsBubble(item.payload)) return;
+  const list = pendingList(item);
+  if (!list || list.querySelector(`li[data-client-id="${item.clientId}"]`)) return;
+  const li = messageElement(pendingMessage(item), state.rooms.get(item.payload.code));
+  setDelivery(li, item);
+  list.appendChild(li);
+  list.scrollTop = list.scrollHeight;
 }
 
-function renderMembers(members) {
-  const list = $('#memberList');
-  list.innerHTML = '';
-  members.forEach(m => {
-    const li = document.createElement('li');
-    li.textContent = m.name;
-    li.style.color = m.color || '';
-    list.appendChild(li);
+// Bubbles for queued messages belonging to a room or conversation that just opened
+function showPendingFor(match) {
+  state.outbox.forEach(item => { if (match(item.payload)) showPending(item); });
+}
+
+function setDelivery(li, item) {
+  li.classList.toggle('pending', item.status === 'pending');
+  li.classList.toggle('failed', item.status === 'failed');
+  const el = li.querySelector('.delivery');
+  el.innerHTML = '';
+  el.classList.remove('hidden');
+  el.title = item.error || '';
+  if (item.status === 'pending') {
+    el.textContent = '🕓 Sending…';
+    return;
+  }
+  el.textContent = '⚠ Not sent';
+  const retry = document.createElement('button');
+  retry.type = 'button';
+  retry.textContent = 'Retry';
+  retry.addEventListener('click', () => retrySend(item.clientId));
+  const discard = document.createElement('button');
+  discard.type = 'button';
+  discard.textContent = 'Discard';
+  discard.addEventListener('click', () => discardSend(item.clientId));
+  el.append(retry, discard);
+}
+
+function markDelivery(item, status, error = null) {
+  item.status = status;
+  item.error = error;
+  $$(`li[data-client-id="${item.clientId}"]`).forEach(li => {
+    if (li.dataset.id == null) setDelivery(li, item);
   });
-  $('#membersCount').textContent = members.length;
 }
 
-function messageElement(msg) {
-  const tpl = $('#messageTpl');
-  const li = tpl.content.firstElementChild.cloneNode(true);
-  const avatar = li.querySelector('.avatar');
-  const author = li.querySelector('.author');
-  const time = li.querySelector('.time');
-  const content = li.querySelector('.content');
+// The server's copy of a message we sent replaces its bubble, when the
+// acknowledgement got here first and tagged the bubble with the message id
+function replacePending(msg, room) {
+  const list = room ? room.list : $('#dmList');
+  const old = list.querySelector(`li[data-client-id][data-id="${msg.id}"]`);
+  if (!old) return false;
+  old.replaceWith(messageElement(msg, room));
+  return true;
+}
 
-  avatar.style.background = msg.color || '#334155';
-  author.textContent = msg.author || 'System';
-  time.textContent = fmtTime(msg.ts || Date.now());
+function refillSendBudget() {
+  const now = Date.now();
+  sendBudget.tokens = Math.min(SEND_BURST, sendBudget.tokens + (now - sendBudget.updated) / SEND_INTERVAL);
+  sendBudget.updated = now;
+}
 
-  // Mark self messages and set initials
-  const meName = (state.me?.name || '').trim();
-  if (meName && msg.author === meName) {
-    li.classList.add('self');
+// Resolves once another send fits the budget
+async function sendSlot() {
+  refillSendBudget();
+  if (sendBudget.tokens < 1) {
+    await new Promise(resolve => setTimeout(resolve, (1 - sendBudget.tokens) * SEND_INTERVAL));
+    refillSendBudget();
   }
-  const initials = (msg.author || 'S').split(/\s+/).map(s => s[0]).join('').slice(0,2).toUpperCase();
-  avatar.textContent = initials;
+  sendBudget.tokens -= 1;
+}
 
-  if (msg.text) {
-    const p = document.createElement('p');
-    p.textContent = msg.text;
-    content.appendChild(p);
+// Queues an item behind the sends already waiting; each goes once the one
+// before it was answered and the budget allows
+function deliver(item) {
+  if (!state.socket.connected) {
+    // Socket.IO gives up after its reconnection attempts; a new send tries again
+    if (!state.socket.active) state.socket.connect();
+    return;
   }
-  if (msg.imageUrl) {
-    const img = document.createElement('img');
-    img.src = resolveImageUrl(msg.imageUrl);
-    img.alt = 'image';
-    content.appendChild(img);
+  if (item.inFlight) return;
+  item.inFlight = true;
+  markDelivery(item, 'pending');
+  sendChain = sendChain.then(sendSlot).then(() => sendItem(item));
+}
+
+function sendItem(item) {
+  return new Promise((resolve) => {
+    // Discarded while it waited, or the connection dropped: a reconnect flushes it again
+    if (!state.outbox.has(item.clientId) || !state.socket.connected) {
+      item.inFlight = false;
+      resolve();
+      return;
+    }
+    const sentOn = state.socket.id;
+    state.socket.timeout(ACK_TIMEOUT).emit('message:send', item.payload, (err, res) => {
+      resolve();
+      settleSend(item, sentOn, err, res);
+    });
+  });
+}
+
+function settleSend(item, sentOn, err, res) {
+  item.inFlight = false;
+  if (!state.outbox.has(item.clientId)) return;
+  // No answer: it stays queued and goes again on the next reconnect, or
+  // right away when the connection was replaced while we waited
+  if (err) {
+    if (state.socket.connected && state.socket.id !== sentOn) deliver(item);
+    else markDelivery(item, 'failed', 'No reply from the server');
+    return;
   }
-  return li;
+  if (res && res.error) {
+    // Turned down: only the bubble keeps it, for a manual retry
+    dropOutboxItem(item.clientId);
+    item.rejected = true;
+    markDelivery(item, 'failed', res.error);
+    return;
+  }
+  state.outbox.delete(item.clientId);
+  dropOutboxItem(item.clientId);
+  $$(`li[data-client-id="${item.clientId}"]`).forEach(li => {
+    if (li.dataset.id != null) return;
+    if (res && res.id != null) {
+      // message:new usually comes before the acknowledgement and is already shown
+      if (li.parentElement.querySelector(`li[data-id="${res.id}"]`)) {
+        li.remove();
+        return;
+      }
+      li.dataset.id = res.id;
+    }
+    li.classList.remove('pending', 'failed');
+    li.querySelector('.delivery').classList.add('hidden');
+  });
 }
 
-function appendMessage(msg) {
-  const list = $('#messageList');
-  list.appendChild(messageElement(msg));
-  list.scrollTop = list.scrollHeight;
+function flushOutbox(match) {
+  state.outbox.forEach(item => {
+    if (!item.rejected && match(item.payload)) deliver(item);
+  });
 }
 
-function setPanels(joined) {
-  $('#authPanel').classList.toggle('hidden', joined);
-  $('#chatPanel').classList.toggle('hidden', !joined);
+function retrySend(clientId) {
+  const item = state.outbox.get(clientId);
+  if (!item) return;
+  if (item.rejected) {
+    item.rejected = false;
+    saveOutboxItem(item);
+  }
+  markDelivery(item, 'pending');
+  deliver(item);
 }
 
-function copyInvite() {
-  if (!state.room) return;
-  const url = `${location.origin}/?code=${encodeURIComponent(state.room.code)}`;
-  navigator.clipboard.writeText(url).then(() => toast('Invite link copied'));
+function discardSend(clientId) {
+  state.outbox.delete(clientId);
+  dropOutboxItem(clientId);
+  $$(`li[data-client-id="${clientId}"]`).forEach(li => { if (li.dataset.id == null) li.remove(); });
 }
 
-function currentCodeOrNameInput() {
-  return $('#roomInput').value.trim();
+// ===== Sessions =====
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (state.token) headers.Authorization = `Bearer ${state.token}`;
+  const res = await fetch(`${BACKEND_URL}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+function setSession(token, user) {
+  const changed = token !== state.token;
+  state.token = token;
+  state.me = { ...state.me, ...user };
+  if (token) localStorage.setItem('sessionToken', token); else localStorage.removeItem('sessionToken');
+  renderAccount();
+  // The socket authenticates on handshake, so a new identity needs a new connection
+  if (changed && state.socket) {
+    state.socket.disconnect();
+    if (token) state.socket.connect();
+  }
+}
+
+function clearSession() {
+  setSession(null, { id: null, name: '', guest: true });
+}
+
+// Leaves every joined room and forgets what belonged to this account; its
+// unsent messages stay saved for its next sign-in (see loadOutbox)
+function logOut() {
+  if (state.socket?.connected && state.rooms.size) state.socket.emit('room:leave');
+  resetRoom();
+  state.dms.clear();
+  state.scheduled = [];
+  state.outbox.clear();
+  state.resume = null;
+  renderScheduled();
+  clearSession();
+}
+
+async function restoreSession() {
+  if (!state.token) return false;
+  try {
+    const { user } = await api('/api/auth/me');
+    state.me = { ...state.me, ...user };
+    renderAccount();
+    return true;
+  } catch (e) {
+    clearSession();
+    return false;
+  }
+}
+
+// Guests get a fresh identity whenever they pick a different display name
+async function ensureSession(displayName) {
+  if (state.token && (!state.me.guest || state.me.name === displayName)) return;
+  const { token, user } = await api('/api/auth/guest', { method: 'POST', body: { name: displayName } });
+  setSession(token, user);
+}
+
+async function signIn(register) {
+  const username = $('#loginUser').value.trim();
+  const password = $('#loginPass').value;
+  if (!username || !password) { $('#authError').textContent = 'Enter username and password'; return; }
+  try {
+    const { token, user } = await api(register ? '/api/auth/register' : '/api/auth/login', {
+      method: 'POST',
+      body: { username, password }
+    });
+    $('#loginPass').value = '';
+    $('#authError').textContent = '';
+    setSession(token, user);
+  } catch (e) {
+    $('#authError').textContent = e.message;
+  }
+}
+
+function renderAccount() {
+  const signedIn = !!state.token && !state.me.guest;
+  $('#loginRow').classList.toggle('hidden', signedIn);
+  $('#accountRow').classList.toggle('hidden', !signedIn);
+  $('#signedInAs').textContent = signedIn ? state.me.name : '';
+  $('#displayName').disabled = signedIn;
+  if (signedIn) $('#displayName').value = state.me.name;
 }
 
 function connectSocket() {
-  // Connect to Render backend
+  // Connect to Render backend; the token is re-read on every (re)connect
   state.socket = io(BACKEND_URL, { 
+    auth: (cb) => cb({ token: state.token }),
+    // WebSocket first, long-polling where a proxy blocks it. Servers running as
+    // several instances refuse polling (see STICKY_SESSIONS), so only WebSocket works there.
     transports: ['websocket', 'polling'],
+    tryAllTransports: true,
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionDelayMax: 5000,
     reconnectionAttempts: 5
   });
 
-  state.socket.on('connect', () => {
+  state.socket.on('connect', async () => {
     console.log('connected to backend:', state.socket.id);
-    toast('Connected to server');
+    toast(state.socket.recovered ? 'Reconnected' : 'Connected to server');
+    state.presence.sent = null;
+    sendPresence();
+    state.socket.emit('dm:list');
+    state.socket.emit('schedule:list');
+    // A recovered connection is still in its rooms and was sent what it missed
+    if (!state.socket.recovered) {
+      resumeRooms();
+      if (state.dm) openDm(state.dms.get(state.dm.id)?.peer.id);
+    } else if (state.callCode) {
+      rejoinCall();
+    }
+    // Otherwise room messages wait until their room is back (see room:resumed)
+    await loadOutbox();
+    flushOutbox(p => p.conversation != null || (state.socket.recovered && state.rooms.has(p.code)));
   });
+  state.socket.on('session:resume', ({ token }) => { state.resume = token; });
+  state.socket.on('room:resume-failed', rejoinRooms);
 
   state.socket.on('connect_error', (error) => {
     console.error('Connection error:', error);
+    if (error.message === 'unauthorized') {
+      clearSession();
+      setPanels(false);
+      $('#authError').textContent = 'Your session has expired, please join again';
+      return;
+    }
+    if (error.message === 'rate_limited') {
+      toast('Too many connection attempts - retrying...');
+      return;
+    }
     toast('Connection error - retrying...');
   });
 
+  state.socket.io.on('reconnect_failed', () => {
+    if (state.outbox.size) toast('Could not reconnect - unsent messages will go out once you are back online');
+  });
+  window.addEventListener('online', () => {
+    if (!state.socket.connected && !state.socket.active) state.socket.connect();
+  });
+  // Closing the page is a real leave, not a dropped connection to wait out
+  window.addEventListener('pagehide', () => state.socket.disconnect());
+  window.addEventListener('pageshow', (e) => { if (e.persisted) state.socket.connect(); });
+
   state.socket.on('disconnect', () => {
     console.log('Disconnected from server');
     toast('Disconnected from server');
   });
 
-  state.socket.on('room:joined', ({ name, code, messages }) => {
-    state.room = { name, code };
-    $('#roomTitle').textContent = name;
-    $('#roomCode').textContent = `#${code}`;
-    $('#messageList').innerHTML = '';
-    messages.forEach(m => appendMessage(m));
+  state.socket.on('room:joined', ({ name, code, visibility, topic, role, messages, hasMore, reads, lastReadId, unread, call, commands }) => {
+    const room = state.rooms.get(code) || addRoom(code);
+    Object.assign(room, {
+      name, visibility, topic, role, call,
+      commands: commands || [],
+      history: { oldestId: null, hasMore: false, loading: false },
+      reads: reads || {},
+      lastReadId: lastReadId || 0,
+      dividerSeen: false,
+      scroll: null
+    });
+    $('#authError').textContent = '';
+    room.list.innerHTML = '';
+    messages.forEach(m => appendMessage(m, room));
+    setHistoryCursor(messages, hasMore, room.history);
     setPanels(true);
+    // Rooms joined again after a reconnect don't take over the screen
+    if (!state.rejoining.delete(code) || room === state.room) showRoom(room);
+    else renderConversations();
+    if (unread) showUnreadDivider(room, room.lastReadId, unread);
+    showPendingFor(p => p.code === code);
+    flushOutbox(p => p.code === code);
+    if (code === state.callCode) rejoinCall();
+  });
+
+  state.socket.on('room:resumed', ({ code, name, visibility, topic, role, messages, hasMore, reads, reset, call, commands }) => {
+    const room = state.rooms.get(code);
+    if (!room) return;
+    Object.assign(room, { name, visibility, topic, role, call, commands: commands || [], reads: reads || {} });
+    if (reset) {
+      // Missed too much to fill the gap; start over from the latest page
+      room.list.innerHTML = '';
+      messages.forEach(m => appendMessage(m, room));
+      room.history = { oldestId: null, hasMore: false, loading: false };
+      setHistoryCursor(messages, hasMore, room.history);
+    } else {
+      messages
+        .filter(m => !room.list.querySelector(`li[data-id="${m.id}"]`))
+        .forEach(m => receiveRoomMessage(m, room));
+    }
+    refreshSeen(room.list, room);
+    if (room === state.room) {
+      $('#roomTitle').textContent = room.name;
+      renderRoomSettings();
+      renderCallStatus();
+    }
+    renderConversations();
+    showPendingFor(p => p.code === code);
+    flushOutbox(p => p.code === code);
+    if (code === state.callCode) rejoinCall();
+  });
+
+  state.socket.on('dm:list', ({ conversations }) => {
+    state.dms = new Map(conversations.map(c => [c.id, c]));
+    renderConversations();
+    renderScheduled();
+  });
+  state.socket.on('dm:opened', showDm);
+  state.socket.on('schedule:list', ({ scheduled }) => {
+    state.scheduled = scheduled;
+    renderScheduled();
   });
 
-  state.socket.on('room:members', ({ members }) => renderMembers(members));
+  state.socket.on('message:history', ({ code, before, messages, hasMore }) => {
+    if (state.dm && state.dm.id === code) {
+      if (before !== state.dm.history.oldestId) return;
+      state.dm.history.loading = false;
+      if (messages.length) prependMessages(messages, $('#dmList'));
+      setHistoryCursor(messages, hasMore, state.dm.history);
+      return;
+    }
+    const room = state.rooms.get(code);
+    if (!room || before !== room.history.oldestId) return;
+    room.history.loading = false;
+    if (messages.length) prependMessages(messages, room.list, room);
+    setHistoryCursor(messages, hasMore, room.history);
+    if (room === state.room && state.pendingJump != null) showSearchResult(state.pendingJump);
+  });
+  state.socket.on('message:search', (res) => {
+    if (!state.room || state.room.code !== res.code || res.requestId !== state.search.requestId) return;
+    renderSearchResults(res);
+  });
 
-  state.socket.on('system:join', ({ name, ts }) => {
-    appendMessage({ author: 'System', color: '#64748b', text: `${name} joined`, ts });
+  state.socket.on('room:members', ({ code, members }) => {
+    const room = state.rooms.get(code);
+    if (!room) return;
+    room.members = members;
+    const me = members.find(m => m.id === state.me.id);
+    if (me) room.role = me.role;
+    if (room === state.room) renderMembers(members);
+  });
+  state.socket.on('room:error', ({ message }) => {
+    $('#authError').textContent = message;
+    if (state.room) toast(message);
+  });
+  state.socket.on('room:updated', ({ code, visibility, topic }) => {
+    const room = state.rooms.get(code);
+    if (!room) return;
+    room.visibility = visibility;
+    room.topic = topic;
+    if (room === state.room) renderRoomSettings();
+  });
+  state.socket.on('room:invite', ({ code, invite }) => copyInviteLink(code, invite));
+  state.socket.on('room:removed', ({ code, reason }) => {
+    const room = state.rooms.get(code);
+    if (!room) return;
+    toast(`${room.name}: ${reason}`);
+    dropRoom(code);
+    if (!state.room) $('#authError').textContent = reason;
   });
-  state.socket.on('system:leave', ({ name, ts }) => {
-    appendMessage({ author: 'System', color: '#64748b', text: `${name} left`, ts });
+  // The server disconnects right after this, so drop back to the join screen
+  state.socket.on('rate:limited', ({ message }) => {
+    toast(message);
+    if (state.room) resetRoom();
+    $('#authError').textContent = `${message}. Rejoin to continue.`;
   });
+  state.socket.on('mod:bans', ({ code, bans }) => {
+    if (state.room && state.room.code === code) renderBans(bans);
+  });
+  state.socket.on('system:moderation', (evt) => appendSystem(evt.code, moderationText(evt), evt.ts));
+
+  state.socket.on('system:notice', ({ code, text, ts }) => appendSystem(code, text, ts));
+  state.socket.on('command:response', ({ text, ts }) => appendEphemeral(text, ts));
+  // A new name arrives with a token that carries it; the connection stays as it is
+  state.socket.on('session:updated', ({ token, user }) => {
+    state.token = token;
+    state.me = { ...state.me, ...user };
+    localStorage.setItem('sessionToken', token);
+    renderAccount();
+  });
+
+  state.socket.on('system:join', ({ code, name, ts }) => appendSystem(code, `${name} joined`, ts));
+  state.socket.on('system:leave', ({ code, name, ts }) => appendSystem(code, `${name} left`, ts));
 
-  state.socket.on('message:new', (msg) => appendMessage(msg));
+  state.socket.on('message:new', (msg) => {
+    if (msg.conversation) {
+      receiveDm(msg);
+      return;
+    }
+    const room = state.rooms.get(msg.code);
+    if (room) receiveRoomMessage(msg, room);
+  });
+  state.socket.on('message:thread', ({ code, id, parent, replies }) => {
+    if (!state.room || state.room.code !== code || id !== state.threadId) return;
+    renderThread({ parent, replies });
+  });
+  state.socket.on('message:read', ({ code, conversation, userId, lastReadId }) => {
+    const convo = conversation && state.dms.get(conversation);
+    if (convo) {
+      if (userId !== state.me.id) {
+        convo.peerReadId = lastReadId;
+        refreshSeen($('#dmList'));
+      } else if (lastReadId > convo.lastReadId) {
+        // Read in another tab
+        convo.lastReadId = lastReadId;
+        convo.unread = 0;
+        renderConversations();
+      }
+      return;
+    }
+    const room = !conversation && state.rooms.get(code);
+    if (!room) return;
+    room.reads[userId] = lastReadId;
+    if (userId !== state.me.id) refreshSeen(room.list, room);
+  });
+  state.socket.on('message:updated', (msg) => patchMessage(msg));
+  state.socket.on('message:deleted', (msg) => patchMessage(msg));
+  state.socket.on('message:reactions', ({ id, reactions }) => {
+    $$(`.message-list li[data-id="${id}"]`).forEach(li => renderReactions(li, reactions));
+  });
+  state.socket.on('chat:error', ({ message }) => toast(message));
 
   let typingUsers = new Set();
   let typingTimeout = null;
@@ -166,90 +1778,258 @@ function connectSocket() {
     el.classList.remove('hidden');
   }
 
-  state.socket.on('message:typing', ({ name, state: isTyping }) => {
+  // Only typing in the room or conversation on screen is shown
+  state.socket.on('message:typing', ({ code, name, state: isTyping, conversation }) => {
+    const here = conversation ? conversation === state.dm?.id : !state.dm && code === state.room?.code;
+    if (!here) return;
     if (isTyping) typingUsers.add(name); else typingUsers.delete(name);
     clearTimeout(typingTimeout);
+    // Outlasts the sender's refresh interval (TYPING_REFRESH)
     typingTimeout = setTimeout(() => {
       typingUsers.clear();
       updateTyping();
-    }, 2000);
+    }, 4000);
     updateTyping();
   });
 
-  // WebRTC signaling events
-  state.socket.on('webrtc:peers', ({ peers }) => {
-    peers.forEach(async peerId => {
-      await createPeerConnection(peerId, true);
-    });
+  // WebRTC signaling events. Both sides of a new pair connect and offer;
+  // perfect negotiation (see handleSignal) sorts out offers that cross.
+  state.socket.on('webrtc:peers', ({ peers, details, iceServers }) => {
+    state.iceServers = iceServers || [];
+    Object.entries(details || {}).forEach(([peerId, info]) => state.callPeers.set(peerId, info));
+    peers.forEach(peerId => createPeerConnection(peerId));
   });
 
-  state.socket.on('webrtc:peer-join', async ({ id }) => {
-    await createPeerConnection(id, false);
+  state.socket.on('webrtc:peer-join', ({ id, name, audio, video }) => {
+    if (!state.callCode) return;
+    state.callPeers.set(id, { name, audio: audio !== false, video: video !== false });
+    createPeerConnection(id);
   });
 
-  state.socket.on('webrtc:signal', async ({ fromId, data }) => {
-    const pc = state.pcMap.get(fromId);
-    if (!pc) return;
-    if (data.sdp) {
-      await pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
-      if (pc.signalingState === 'have-remote-offer') {
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
-        state.socket.emit('webrtc:signal', { targetId: fromId, data: { sdp: pc.localDescription } });
-      }
-    } else if (data.candidate) {
-      try { await pc.addIceCandidate(new RTCIceCandidate(data.candidate)); } catch {}
-    }
+  // A peer muted, unmuted, or turned their camera off or on
+  state.socket.on('call:media', ({ id, audio, video }) => {
+    const peer = state.callPeers.get(id);
+    if (!peer) return;
+    Object.assign(peer, { audio, video });
+    renderTile(id);
   });
 
-  state.socket.on('webrtc:peer-leave', ({ id }) => {
-    const pc = state.pcMap.get(id);
-    if (pc) {
-      pc.close();
-      state.pcMap.delete(id);
+  state.socket.on('webrtc:signal', ({ fromId, data }) => handleSignal(fromId, data));
+
+  state.socket.on('webrtc:peer-leave', ({ id }) => closePeer(id));
+
+  // Who is in each room's call, kept by the server
+  state.socket.on('call:state', ({ code, startedAt, participants }) => {
+    const room = state.rooms.get(code);
+    if (!room) return;
+    room.call = { startedAt, participants };
+    if (room === state.room) {
+      renderCallStatus();
+      renderMembers(room.members || []);
     }
-    removeRemoteVideo(id);
+  });
+  state.socket.on('call:started', ({ code, name, ts }) => {
+    appendSystem(code, name ? `${name} started a call` : 'A call started', ts);
+  });
+  state.socket.on('call:ended', ({ code, duration, ts }) => {
+    appendSystem(code, `The call ended after ${fmtCountdown(duration)}`, ts);
   });
 }
 
-function joinRoom(codeOrName, displayName) {
-  state.me.name = displayName;
-  state.socket.emit('room:join', { codeOrName, name: displayName });
+// event is room:join or room:create; failures come back as room:error
+async function joinRoom(event, payload, displayName) {
+  try {
+    await ensureSession(displayName);
+  } catch (e) {
+    $('#authError').textContent = e.message;
+    return;
+  }
+  if (!state.socket) connectSocket();
+  state.socket.emit(event, payload);
+  // Asked here because browsers only allow it after a click
+  if ('Notification' in window && Notification.permission === 'default') Notification.requestPermission();
 }
 
+// Leaves the room on screen; the next joined room takes its place
 function leaveRoom() {
-  state.socket.emit('room:leave');
+  if (!state.room) return;
+  emitRoom('room:leave');
+  dropRoom(state.room.code);
+}
+
+// Back to the auth panel with a clean chat view
+function resetRoom() {
   endCall();
   setPanels(false);
   // Clear UI after leaving
-  $('#messageList').innerHTML = '';
+  state.room = null;
+  state.rooms.forEach(room => room.list.remove());
+  state.rooms.clear();
+  state.dm = null;
+  $('#dmList').innerHTML = '';
+  $('#dmList').classList.add('hidden');
+  $('#conversationList').innerHTML = '';
   $('#memberList').innerHTML = '';
   $('#roomTitle').textContent = 'Room';
   $('#roomCode').textContent = '';
+  $('#roomTopic').textContent = '';
+  state.hint = { items: [], index: 0 };
+  renderCommandHints();
+  $('#roomSettings').classList.add('hidden');
+  $('#modPanel').classList.add('hidden');
+  $('#banList').innerHTML = '';
+  cancelReply();
+  closeThread();
+  clearSearch();
   // Clear typing and upload indicators
   $('#typing').classList.add('hidden');
   $('#uploadStatus').classList.add('hidden');
   $('#uploadBar').classList.add('hidden');
 }
 
+// Command output only this user sees; it is not part of the room history
+function appendEphemeral(text, ts) {
+  const li = messageElement({ author: 'System', color: '#64748b', text, ts });
+  li.classList.add('ephemeral');
+  const note = document.createElement('span');
+  note.className = 'ephemeral-note';
+  note.textContent = 'Only you can see this';
+  li.querySelector('.content').appendChild(note);
+  const list = activeList();
+  list.appendChild(li);
+  list.scrollTop = list.scrollHeight;
+}
+
+const PERMISSION_ROLES = { member: ['owner', 'moderator', 'member'], staff: ['owner', 'moderator'], owner: ['owner'] };
+
+function availableCommands() {
+  const role = state.room?.role || 'member';
+  return (state.room?.commands || []).filter(c => (PERMISSION_ROLES[c.permission] || []).includes(role));
+}
+
+// While the input holds '/name', list matching commands; once arguments are
+// being typed, show the usage of the one command being used
+function updateCommandHints() {
+  const value = $('#messageInput').value;
+  const match = /^\/(\S*)(\s?)/.exec(value);
+  let items = [];
+  if (match && !value.startsWith('//')) {
+    const name = match[1].toLowerCase();
+    items = match[2]
+      ? availableCommands().filter(c => c.name === name)
+      : availableCommands().filter(c => c.name.startsWith(name));
+  }
+  state.hint = { items, index: Math.min(state.hint.index, Math.max(items.length - 1, 0)) };
+  renderCommandHints();
+}
+
+function renderCommandHints() {
+  const list = $('#commandHints');
+  list.innerHTML = '';
+  state.hint.items.forEach((c, i) => {
+    const li = document.createElement('li');
+    li.classList.toggle('active', i === state.hint.index);
+    const usage = document.createElement('span');
+    usage.className = 'usage';
+    usage.textContent = c.usage;
+    const desc = document.createElement('span');
+    desc.className = 'desc';
+    desc.textContent = c.description;
+    li.append(usage, desc);
+    li.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      completeCommand(c);
+    });
+    list.appendChild(li);
+  });
+  list.classList.toggle('hidden', !state.hint.items.length);
+}
+
+function completeCommand(c) {
+  const input = $('#messageInput');
+  if (!input.value.startsWith(`/${c.name} `)) input.value = `/${c.name} `;
+  input.focus();
+  updateCommandHints();
+}
+
+function onCommandKeys(e) {
+  const { items } = state.hint;
+  if (!items.length) return;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    state.hint.index = (state.hint.index + step + items.length) % items.length;
+    renderCommandHints();
+  } else if (e.key === 'Tab') {
+    e.preventDefault();
+    completeCommand(items[state.hint.index]);
+  } else if (e.key === 'Escape') {
+    state.hint.items = [];
+    renderCommandHints();
+  }
+}
+
+// Send-later and disappearing-message choices from the timing bar
+function composerTiming() {
+  const timing = {};
+  const at = $('#sendAtInput').value;
+  if (at) timing.sendAt = new Date(at).getTime();
+  const minutes = Number($('#expirySelect').value);
+  if (minutes) timing.expiresIn = minutes;
+  return timing;
+}
+
+function updateTimingButton() {
+  const timing = composerTiming();
+  $('#timingBtn').classList.toggle('active', Object.keys(timing).length > 0);
+  $('#sendBtn').textContent = timing.sendAt ? 'Schedule' : 'Send';
+}
+
 async function sendMessage() {
   const input = $('#messageInput');
   const text = input.value.trim();
   if (!text) return;
-  state.socket.emit('message:send', { text });
+  const payload = { text, ...composerTiming() };
+  if (state.replyTo) payload.replyTo = state.replyTo.id;
+  if (state.dm) payload.conversation = state.dm.id;
+  else if (state.room) payload.code = state.room.code;
+  else return;
+  queueSend(payload);
   input.value = '';
+  // The disappearing choice sticks; a send time is for one message only
+  $('#sendAtInput').value = '';
+  updateTimingButton();
+  updateCommandHints();
+  cancelReply();
 }
 
+function sendTyping(on) {
+  if (state.dm) state.socket.emit('message:typing', { state: on, conversation: state.dm.id });
+  else emitRoom('message:typing', { state: on });
+}
+
+// The server hears when typing starts and stops, plus a reminder every
+// TYPING_REFRESH while it goes on, not every keystroke
+const TYPING_IDLE = 1500;
+const TYPING_REFRESH = 2500;
+
 function onTyping() {
   clearTimeout(state.typingTimer);
-  state.socket.emit('message:typing', true);
-  state.typingTimer = setTimeout(() => state.socket.emit('message:typing', false), 1500);
+  if (Date.now() - state.typingSentAt > TYPING_REFRESH) {
+    sendTyping(true);
+    state.typingSentAt = Date.now();
+  }
+  state.typingTimer = setTimeout(() => {
+    sendTyping(false);
+    state.typingSentAt = 0;
+  }, TYPING_IDLE);
 }
 
-async function uploadImage(file) {
+async function uploadFile(file) {
   // Use XHR so we can show progress - now points to Render backend
   const fd = new FormData();
-  fd.append('image', file);
+  fd.append('room', state.room ? state.room.code : '');
+  fd.append('file', file, file.name || 'pasted-file');
   const xhr = new XMLHttpRequest();
   const statusEl = $('#uploadStatus');
   const pctEl = $('#uploadPct');
@@ -260,8 +2040,9 @@ async function uploadImage(file) {
   barFill.style.width = '0%';
   pctEl.textContent = '0%';
 
-  const url = await new Promise((resolve, reject) => {
+  const result = await new Promise((resolve, reject) => {
     xhr.open('POST', `${BACKEND_URL}/api/upload`);
+    if (state.token) xhr.setRequestHeader('Authorization', `Bearer ${state.token}`);
     xhr.upload.onprogress = (e) => {
       if (e.lengthComputable) {
         const pct = Math.round((e.loaded / e.total) * 100);
@@ -273,9 +2054,9 @@ async function uploadImage(file) {
       try {
         const res = JSON.parse(xhr.responseText || '{}');
         if (xhr.status >= 200 && xhr.status < 300 && res.url) {
-          resolve(resolveImageUrl(res.url));
+          resolve(res);
         } else {
-          reject(new Error('Upload failed'));
+          reject(new Error(res.error || 'Upload failed'));
         }
       } catch (e) {
         reject(e);
@@ -287,110 +2068,412 @@ async function uploadImage(file) {
 
   statusEl.classList.add('hidden');
   bar.classList.add('hidden');
-  return url;
+  return result;
 }
 
-async function sendImage(file) {
+async function sendFile(file) {
+  if (state.dm) {
+    toast('Attachments can only be shared in rooms');
+    return;
+  }
+  if (!state.room) return;
+  const code = state.room.code;
   try {
-    const url = await uploadImage(file);
-    state.socket.emit('message:send', { text: '', imageUrl: url });
+    const { id, url, thumbUrl, width, height, name, size, mimetype, kind } = await uploadFile(file);
+    // The attachment as the message will carry it, for the pending bubble
+    const attachment = { url, thumbUrl, width, height, name, size, mimetype, kind };
+    queueSend({ code, text: '', uploadId: id, expiresIn: composerTiming().expiresIn }, { attachment });
   } catch (e) {
-    toast('Failed to upload image');
+    $('#uploadStatus').classList.add('hidden');
+    $('#uploadBar').classList.add('hidden');
+    toast(e.message || 'Failed to upload file');
   }
 }
 
+// Files dropped on or pasted into the composer go through the same upload path
+async function sendFiles(files) {
+  for (const file of files) await sendFile(file);
+}
+
+function wireComposerDrop() {
+  const zone = $('#composer');
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+  zone.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    zone.classList.add('dragover');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+  zone.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    zone.classList.remove('dragover');
+    sendFiles(Array.from(e.dataTransfer.files));
+  });
+  $('#messageInput').addEventListener('paste', (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (!files.length) return;
+    e.preventDefault();
+    sendFiles(files);
+  });
+}
+
 // WebRTC helpers
+// Active speaker: the loudest tile above the threshold, kept through short pauses
+const SPEAKER_THRESHOLD = 0.02; // RMS of the audio samples
+const SPEAKER_INTERVAL = 200;
+const SPEAKER_HOLD = 1200;
+// Video sent to each peer shares one upload budget, so quality drops as the mesh grows (bits/s)
+const VIDEO_UPLOAD_BUDGET = 2500000;
+const VIDEO_BITRATE_MIN = 150000;
+const VIDEO_BITRATE_MAX = 1500000;
+const STATS_INTERVAL = 1000;
+
+// Each participant is a tile: video, a name label with mute and camera icons, and the stats overlay
+function videoTile(peerId) {
+  let tile = document.getElementById(`v-${peerId}`);
+  if (tile) return tile;
+  tile = document.createElement('div');
+  tile.id = `v-${peerId}`;
+  tile.className = 'tile';
+  const video = document.createElement('video');
+  video.autoplay = true;
+  video.playsInline = true;
+  const label = document.createElement('div');
+  label.className = 'tile-label';
+  const stats = document.createElement('pre');
+  stats.className = 'tile-stats';
+  stats.classList.toggle('hidden', !state.stats.shown || peerId === 'local');
+  tile.append(video, label, stats);
+  $('#videoGrid').appendChild(tile);
+  return tile;
+}
+
+// What the people in the call see of us
+function localMedia() {
+  const stream = state.streams.local;
+  return { audio: !!stream?.getAudioTracks()[0]?.enabled, video: !!stream?.getVideoTracks()[0]?.enabled };
+}
+
+function tileMedia(peerId) {
+  if (peerId === 'local') return { name: 'You', ...localMedia() };
+  return state.callPeers.get(peerId) || { name: 'Someone', audio: true, video: true };
+}
+
+function renderTile(peerId) {
+  const tile = document.getElementById(`v-${peerId}`);
+  if (!tile) return;
+  const { name, audio, video } = tileMedia(peerId);
+  tile.querySelector('.tile-label').textContent = `${name}${audio ? '' : ' 🔇'}${video ? '' : ' 🚫'}`;
+  tile.classList.toggle('camera-off', !video);
+}
+
 function addRemoteVideo(peerId, stream) {
-  let grid = $('#videoGrid');
-  let el = document.getElementById(`v-${peerId}`);
-  if (!el) {
-    el = document.createElement('video');
-    el.id = `v-${peerId}`;
-    el.autoplay = true;
-    el.playsInline = true;
-    grid.appendChild(el);
-  }
-  el.srcObject = stream;
+  const tile = videoTile(peerId);
+  tile.querySelector('video').srcObject = stream;
+  renderTile(peerId);
+  watchAudio(peerId, stream);
 }
+
 function removeRemoteVideo(peerId) {
+  unwatchAudio(peerId);
   const el = document.getElementById(`v-${peerId}`);
   if (el) el.remove();
 }
 
+function watchAudio(peerId, stream) {
+  if (!stream.getAudioTracks().length || !window.AudioContext) return;
+  unwatchAudio(peerId);
+  const speaker = state.speaker;
+  if (!speaker.context) speaker.context = new AudioContext();
+  speaker.context.resume().catch(() => {});
+  const source = speaker.context.createMediaStreamSource(stream);
+  const analyser = speaker.context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  speaker.meters.set(peerId, { source, analyser, samples: new Float32Array(analyser.fftSize) });
+  if (!speaker.timer) speaker.timer = setInterval(pickSpeaker, SPEAKER_INTERVAL);
+}
+
+function unwatchAudio(peerId) {
+  const speaker = state.speaker;
+  const meter = speaker.meters.get(peerId);
+  if (!meter) return;
+  meter.source.disconnect();
+  speaker.meters.delete(peerId);
+  if (speaker.active === peerId) speaker.active = null;
+  if (!speaker.meters.size) {
+    clearInterval(speaker.timer);
+    speaker.timer = null;
+  }
+}
+
+function pickSpeaker() {
+  const speaker = state.speaker;
+  let loudest = null;
+  let level = SPEAKER_THRESHOLD;
+  for (const [peerId, meter] of speaker.meters) {
+    if (!tileMedia(peerId).audio) continue;
+    meter.analyser.getFloatTimeDomainData(meter.samples);
+    const rms = Math.sqrt(meter.samples.reduce((sum, x) => sum + x * x, 0) / meter.samples.length);
+    if (rms > level) {
+      loudest = peerId;
+      level = rms;
+    }
+  }
+  if (loudest) {
+    speaker.active = loudest;
+    speaker.heardAt = Date.now();
+  } else if (Date.now() - speaker.heardAt > SPEAKER_HOLD) {
+    speaker.active = null;
+  }
+  $$('#videoGrid .tile').forEach(t => t.classList.toggle('speaking', t.id === `v-${speaker.active}`));
+}
+
+function videoBitrate() {
+  const share = Math.floor(VIDEO_UPLOAD_BUDGET / Math.max(1, state.pcMap.size));
+  return Math.min(VIDEO_BITRATE_MAX, Math.max(VIDEO_BITRATE_MIN, share));
+}
+
+// Caps the video we send one peer; encodings only exist once the connection is negotiated
+async function applyBitrate(pc) {
+  const sender = pc.getSenders().find(s => s.track && s.track.kind === 'video');
+  if (!sender) return;
+  const params = sender.getParameters();
+  if (!params.encodings || !params.encodings.length) return;
+  const maxBitrate = videoBitrate();
+  if (params.encodings.every(e => e.maxBitrate === maxBitrate)) return;
+  params.encodings.forEach(e => { e.maxBitrate = maxBitrate; });
+  try {
+    await sender.setParameters(params);
+  } catch (e) {
+    console.warn('Could not limit video bitrate:', e);
+  }
+}
+
+function applyBitrates() {
+  state.pcMap.forEach(pc => applyBitrate(pc));
+}
+
+// One peer's connection as a few lines: round trip, bitrate each way, video and loss
+async function peerStats(peerId, pc) {
+  const report = await pc.getStats();
+  const now = { at: performance.now(), sent: 0, received: 0 };
+  let rtt = null;
+  let video = null;
+  let lost = 0;
+  report.forEach((r) => {
+    if (r.type === 'candidate-pair' && r.nominated && r.currentRoundTripTime != null) rtt = r.currentRoundTripTime;
+    if (r.type === 'outbound-rtp') now.sent += r.bytesSent || 0;
+    if (r.type === 'inbound-rtp') {
+      now.received += r.bytesReceived || 0;
+      lost += r.packetsLost || 0;
+      if (r.kind === 'video') video = r;
+    }
+  });
+  const last = state.stats.last.get(peerId);
+  state.stats.last.set(peerId, now);
+  const kbps = (key) => (last ? Math.round(((now[key] - last[key]) * 8) / (now.at - last.at)) : 0);
+  return [
+    `RTT ${rtt == null ? '–' : Math.round(rtt * 1000)} ms`,
+    `↑ ${kbps('sent')} kbps (cap ${Math.round(videoBitrate() / 1000)})`,
+    `↓ ${kbps('received')} kbps`,
+    video && video.frameWidth ? `${video.frameWidth}×${video.frameHeight} @ ${Math.round(video.framesPerSecond || 0)} fps` : 'no video',
+    `lost ${lost} packets`
+  ].join('\n');
+}
+
+function updateStats() {
+  state.pcMap.forEach((pc, peerId) => {
+    peerStats(peerId, pc).then((text) => {
+      const el = document.querySelector(`#v-${CSS.escape(peerId)} .tile-stats`);
+      if (el) el.textContent = text;
+    }).catch(() => {});
+  });
+}
+
+function toggleStats(shown = !state.stats.shown) {
+  state.stats.shown = shown;
+  clearInterval(state.stats.timer);
+  state.stats.timer = shown ? setInterval(updateStats, STATS_INTERVAL) : null;
+  state.stats.last.clear();
+  $$('#videoGrid .tile').forEach(t => t.querySelector('.tile-stats').classList.toggle('hidden', !shown || t.id === 'v-local'));
+  $('#statsBtn').classList.toggle('active', shown);
+  if (shown) updateStats();
+}
+
 async function ensureLocalStream() {
   if (state.streams.local) return state.streams.local;
   const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: true });
   state.streams.local = stream;
-  // show local
+  // Our own tile, muted so we don't hear ourselves
   addRemoteVideo('local', stream);
-  const localEl = document.getElementById('v-local');
-  if (localEl) localEl.muted = true; else {
-    const el = document.getElementById('v-local');
-    if (el) el.muted = true;
-  }
+  videoTile('local').querySelector('video').muted = true;
   return stream;
 }
 
-async function createPeerConnection(peerId, isInitiator) {
-  const pc = new RTCPeerConnection({
-    iceServers: [
-      { urls: ['stun:stun.l.google.com:19302', 'stun:global.stun.twilio.com:3478'] }
-    ]
-  });
-  state.pcMap.set(peerId, pc);
+// A connection that stays 'disconnected' this long gets an ICE restart
+const ICE_RESTART_DELAY = 5000;
+
+function sendSignal(peerId, data) {
+  state.socket.emit('webrtc:signal', { targetId: peerId, data });
+}
 
-  const local = await ensureLocalStream();
-  local.getTracks().forEach(t => pc.addTrack(t, local));
+// The connection to a peer, created on first use. Either side offers whenever
+// its tracks change (perfect negotiation): when offers cross, the polite peer
+// (the one with the larger socket id) answers and the other ignores the offer.
+function createPeerConnection(peerId) {
+  if (state.pcMap.has(peerId)) return state.pcMap.get(peerId);
+  const pc = new RTCPeerConnection({ iceServers: state.iceServers });
+  const n = { polite: state.socket.id > peerId, makingOffer: false, ignoreOffer: false, settingAnswer: false, restartTimer: null };
+  state.pcMap.set(peerId, pc);
+  state.negotiation.set(peerId, n);
 
-  pc.ontrack = (e) => {
-    const [stream] = e.streams;
-    addRemoteVideo(peerId, stream);
+  pc.ontrack = ({ streams: [stream] }) => {
+    if (stream) addRemoteVideo(peerId, stream);
+  };
+  pc.onconnectionstatechange = () => {
+    if (pc.connectionState === 'connected') applyBitrate(pc);
+  };
+  pc.onicecandidate = ({ candidate }) => {
+    if (candidate) sendSignal(peerId, { candidate });
   };
-  pc.onicecandidate = (e) => {
-    if (e.candidate) {
-      state.socket.emit('webrtc:signal', { targetId: peerId, data: { candidate: e.candidate } });
+  pc.onnegotiationneeded = async () => {
+    try {
+      n.makingOffer = true;
+      await pc.setLocalDescription();
+      sendSignal(peerId, { sdp: pc.localDescription });
+    } catch (e) {
+      console.error('Failed to make an offer:', e);
+    } finally {
+      n.makingOffer = false;
     }
   };
+  // A failed path gets fresh candidates; a dropped one gets a moment to come back first
+  pc.oniceconnectionstatechange = () => {
+    clearTimeout(n.restartTimer);
+    if (pc.iceConnectionState === 'failed') pc.restartIce();
+    if (pc.iceConnectionState === 'disconnected') {
+      n.restartTimer = setTimeout(() => {
+        if (pc.iceConnectionState === 'disconnected') pc.restartIce();
+      }, ICE_RESTART_DELAY);
+    }
+  };
+
+  const local = state.streams.local;
+  if (local) local.getTracks().forEach(t => pc.addTrack(t, local));
+  // Everyone else's share just got smaller
+  applyBitrates();
+  return pc;
+}
 
-  if (isInitiator) {
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
-    state.socket.emit('webrtc:signal', { targetId: peerId, data: { sdp: pc.localDescription } });
+async function handleSignal(fromId, { sdp, candidate } = {}) {
+  // An offer may come in before the peer-join it goes with
+  if (!state.pcMap.has(fromId) && (!state.callCode || !sdp || sdp.type !== 'offer')) return;
+  const pc = createPeerConnection(fromId);
+  const n = state.negotiation.get(fromId);
+  try {
+    if (sdp) {
+      const readyForOffer = !n.makingOffer && (pc.signalingState === 'stable' || n.settingAnswer);
+      const collision = sdp.type === 'offer' && !readyForOffer;
+      n.ignoreOffer = !n.polite && collision;
+      if (n.ignoreOffer) return;
+      n.settingAnswer = sdp.type === 'answer';
+      await pc.setRemoteDescription(sdp);
+      n.settingAnswer = false;
+      if (sdp.type === 'offer') {
+        await pc.setLocalDescription();
+        sendSignal(fromId, { sdp: pc.localDescription });
+      }
+    } else if (candidate) {
+      try {
+        await pc.addIceCandidate(candidate);
+      } catch (e) {
+        // Candidates for an offer we ignored are expected to fail
+        if (!n.ignoreOffer) throw e;
+      }
+    }
+  } catch (e) {
+    console.error('Call signaling failed:', e);
   }
+}
 
-  return pc;
+// After a reconnect the server no longer counts us in the call; everyone starts over with us
+function rejoinCall() {
+  Array.from(state.pcMap.keys()).forEach(closePeer);
+  state.socket.emit('webrtc:join', { code: state.callCode, ...localMedia() });
+}
+
+function closePeer(peerId) {
+  const pc = state.pcMap.get(peerId);
+  if (pc) pc.close();
+  state.pcMap.delete(peerId);
+  clearTimeout(state.negotiation.get(peerId)?.restartTimer);
+  state.negotiation.delete(peerId);
+  state.callPeers.delete(peerId);
+  state.stats.last.delete(peerId);
+  removeRemoteVideo(peerId);
+  applyBitrates();
+}
+
+// Who is in the room's call, as the server tracks it; the start button joins one already going on
+function renderCallStatus() {
+  const call = !state.dm && state.room ? state.room.call : null;
+  const people = call?.participants || [];
+  const el = $('#callStatus');
+  el.classList.toggle('hidden', !people.length);
+  el.textContent = people.length ? `📞 ${people.map(p => p.name).join(', ')}` : '';
+  el.title = call?.startedAt ? `In the call since ${fmtTime(call.startedAt)}` : '';
+  const here = !!state.room && state.callCode === state.room.code;
+  $('#startCallBtn').disabled = here;
+  $('#startCallBtn').textContent = people.length && !here ? 'Join Call' : 'Start Call';
 }
 
 async function startCall() {
+  if (!state.room || state.callCode === state.room.code) return;
+  // One call at a time; starting another leaves the current one
+  if (state.callCode) endCall();
   try {
     await ensureLocalStream();
     state.inCall = true;
-    $('#startCallBtn').disabled = true;
     $('#leaveCallBtn').disabled = false;
     $('#toggleMicBtn').disabled = false;
     $('#toggleCamBtn').disabled = false;
     $('#shareScreenBtn').disabled = false;
-    state.socket.emit('webrtc:join');
+    $('#statsBtn').disabled = false;
+    state.callCode = state.room.code;
+    emitRoom('webrtc:join', localMedia());
+    renderCallStatus();
   } catch (e) {
     toast('Cannot start call (permissions?)');
   }
 }
 
 function endCall() {
-  state.socket.emit('webrtc:leave');
-  state.pcMap.forEach(pc => pc.close());
-  state.pcMap.clear();
+  if (state.callCode) state.socket.emit('webrtc:leave');
+  state.callCode = null;
+  Array.from(state.pcMap.keys()).forEach(closePeer);
   if (state.streams.local) {
     state.streams.local.getTracks().forEach(t => t.stop());
     state.streams.local = null;
   }
-  $$('#videoGrid video').forEach(v => v.remove());
+  removeRemoteVideo('local');
+  toggleStats(false);
   state.inCall = false;
-  $('#startCallBtn').disabled = false;
+  renderCallStatus();
   $('#leaveCallBtn').disabled = true;
   $('#toggleMicBtn').disabled = true;
   $('#toggleCamBtn').disabled = true;
   $('#shareScreenBtn').disabled = true;
+  $('#statsBtn').disabled = true;
+  $('#toggleMicBtn').textContent = '🎤';
+  $('#toggleCamBtn').textContent = '📷';
+}
+
+// Peers see our microphone and camera state on our tile
+function announceMedia() {
+  if (state.callCode) state.socket.emit('call:media', localMedia());
+  renderTile('local');
 }
 
 function toggleMic() {
@@ -398,6 +2481,7 @@ function toggleMic() {
   const track = stream.getAudioTracks()[0]; if (!track) return;
   track.enabled = !track.enabled;
   $('#toggleMicBtn').textContent = track.enabled ? '🎤' : '🔇';
+  announceMedia();
 }
 
 function toggleCam() {
@@ -405,6 +2489,7 @@ function toggleCam() {
   const track = stream.getVideoTracks()[0]; if (!track) return;
   track.enabled = !track.enabled;
   $('#toggleCamBtn').textContent = track.enabled ? '📷' : '🚫';
+  announceMedia();
 }
 
 async function shareScreen() {
@@ -431,6 +2516,8 @@ async function shareScreen() {
 
 // Wire UI
 window.addEventListener('DOMContentLoaded', () => {
+  const params = new URLSearchParams(location.search);
+
   // Theme toggle
   $('#themeToggle').addEventListener('click', () => {
     const next = (document.documentElement.dataset.theme === 'dark') ? 'light' : 'dark';
@@ -444,25 +2531,74 @@ window.addEventListener('DOMContentLoaded', () => {
   $('#createRoomBtn').addEventListener('click', () => {
     const name = $('#displayName').value.trim() || 'Guest';
     const roomName = currentCodeOrNameInput() || `room-${Math.random().toString(36).slice(2,7)}`;
-    joinRoom(roomName, name);
+    const visibility = $('#roomVisibility').value;
+    const password = $('#roomPassword').value;
+    if (visibility === 'password' && !password) { $('#authError').textContent = 'Enter a room password'; return; }
+    $('#authError').textContent = '';
+    joinRoom('room:create', { name: roomName, visibility, password }, name);
   });
   $('#joinRoomBtn').addEventListener('click', () => {
     const name = $('#displayName').value.trim() || 'Guest';
     const value = currentCodeOrNameInput();
     if (!value) { $('#authError').textContent = 'Enter room name or code'; return; }
     $('#authError').textContent = '';
-    joinRoom(value, name);
+    joinRoom('room:join', { codeOrName: value, password: $('#roomPassword').value, invite: params.get('invite') }, name);
+  });
+
+  // Room settings (owner only)
+  $('#saveSettingsBtn').addEventListener('click', saveRoomSettings);
+  $('#refreshBansBtn').addEventListener('click', () => emitRoom('mod:bans'));
+
+  // Room directory, on the join screen and in the sidebar for joining more rooms
+  $('#refreshDirectoryBtn').addEventListener('click', () => loadDirectory($('#roomDirectory'), joinFromDirectory));
+  loadDirectory($('#roomDirectory'), joinFromDirectory);
+  $('#browseRooms').addEventListener('toggle', (e) => {
+    if (e.currentTarget.open) loadDirectory($('#sidebarDirectory'), (code) => state.socket.emit('room:join', { codeOrName: code }));
+  });
+  $('#addRoomForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const value = $('#addRoomInput').value.trim();
+    if (!value) return;
+    state.socket.emit('room:join', { codeOrName: value, password: $('#addRoomPassword').value });
+    $('#addRoomInput').value = '';
+    $('#addRoomPassword').value = '';
   });
 
   // Composer
   $('#composer').addEventListener('submit', (e) => { e.preventDefault(); sendMessage(); });
   $('#messageInput').addEventListener('input', onTyping);
+  $('#messageInput').addEventListener('input', updateCommandHints);
+  $('#messageInput').addEventListener('keydown', onCommandKeys);
+  $('#dmList').addEventListener('scroll', onMessageListScroll);
+  $('#cancelReplyBtn').addEventListener('click', cancelReply);
+  $('#timingBtn').addEventListener('click', () => $('#timingBar').classList.toggle('hidden'));
+  $('#sendAtInput').addEventListener('change', updateTimingButton);
+  $('#expirySelect').addEventListener('change', updateTimingButton);
+  setInterval(updateCountdowns, 1000);
+  $('#closeThreadBtn').addEventListener('click', closeThread);
+  $('#toggleSearchBtn').addEventListener('click', () => toggleSearch($('#searchPanel').classList.contains('hidden')));
+  $('#closeSearchBtn').addEventListener('click', () => toggleSearch(false));
+  $('#searchForm').addEventListener('submit', (e) => { e.preventDefault(); runSearch(); });
+  $('#searchMoreBtn').addEventListener('click', () => runSearch(true));
   $('#imageBtn').addEventListener('click', () => $('#imageInput').click());
   $('#imageInput').addEventListener('change', (e) => {
     const file = e.target.files[0];
-    if (file) sendImage(file);
+    if (file) sendFile(file);
     e.target.value = '';
   });
+  wireComposerDrop();
+  $('#presenceSelect').value = state.presence.chosen;
+  $('#presenceSelect').addEventListener('change', (e) => choosePresence(e.target.value));
+  ['pointerdown', 'keydown', 'mousemove', 'focus'].forEach(type => {
+    window.addEventListener(type, markActive, { passive: true });
+  });
+  markActive();
+  document.addEventListener('visibilitychange', scheduleReadReport);
+  window.addEventListener('focus', scheduleReadReport);
+  $('#lightbox').addEventListener('click', closeLightbox);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !$('#lightbox').classList.contains('hidden')) closeLightbox();
+  });
 
   // Calls
   $('#startCallBtn').addEventListener('click', startCall);
@@ -470,6 +2606,7 @@ window.addEventListener('DOMContentLoaded', () => {
   $('#toggleMicBtn').addEventListener('click', toggleMic);
   $('#toggleCamBtn').addEventListener('click', toggleCam);
   $('#shareScreenBtn').addEventListener('click', shareScreen);
+  $('#statsBtn').addEventListener('click', () => toggleStats());
   // Leave room
   $('#leaveRoomBtn').addEventListener('click', () => {
     leaveRoom();
@@ -483,7 +2620,6 @@ window.addEventListener('DOMContentLoaded', () => {
   });
 
   // Auto-join if code in URL
-  const params = new URLSearchParams(location.search);
   const code = params.get('code');
   const savedName = localStorage.getItem('displayName');
   if (code) {
@@ -494,11 +2630,16 @@ window.addEventListener('DOMContentLoaded', () => {
   // Save name on change
   $('#displayName').addEventListener('change', () => localStorage.setItem('displayName', $('#displayName').value.trim()));
 
-  // Connect socket
-  connectSocket();
+  // Accounts
+  $('#loginBtn').addEventListener('click', () => signIn(false));
+  $('#registerBtn').addEventListener('click', () => signIn(true));
+  $('#logoutBtn').addEventListener('click', logOut);
 
-  // If invite code present and name provided already, try auto join
-  if (code && (savedName && savedName.trim())) {
-    joinRoom(code, savedName.trim());
-  }
+  // Restore a saved session, then connect the socket with it
+  restoreSession().then((ok) => {
+    if (ok) connectSocket();
+    // If invite code present and we know who the user is, try auto join
+    const name = ok ? state.me.name : (savedName || '').trim();
+    if (code && name) joinRoom('room:join', { codeOrName: code, invite: params.get('invite') }, name);
+  });
 });
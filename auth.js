@@ -0,0 +1,141 @@
+// Lightweight identity: local accounts with scrypt-hashed passwords, guest
+// identities, and HMAC-signed session tokens checked on REST and sockets.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const RESUME_TTL_MS = 24 * 60 * 60 * 1000;
+const USERNAME_RE = /^[a-z0-9_.-]{3,32}$/i;
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+// scrypt is slow by design; the async form runs it off the event loop
+const scrypt = promisify(crypto.scrypt);
+
+export function createAuth({ store, secret }) {
+  if (!secret) {
+    console.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  function sign(payload) {
+    const body = b64url(JSON.stringify(payload));
+    const mac = b64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${mac}`;
+  }
+
+  // The signed payload, or null for anything forged, malformed or expired
+  function verify(token) {
+    const [body, mac] = String(token || '').split('.');
+    if (!body || !mac) return null;
+    const expected = crypto.createHmac('sha256', secret).update(body).digest();
+    const given = Buffer.from(mac, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!payload.uid || !payload.exp || payload.exp < Date.now()) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  // Session tokens carry no `kind`; other signed tokens can't stand in for them
+  function verifyToken(token) {
+    const payload = verify(token);
+    return payload && !payload.kind ? payload : null;
+  }
+
+  // Names the rooms a connection was in, so a later connection of the same
+  // user can take its place after a reconnect or a server restart
+  function resumeToken(userId, rooms) {
+    return sign({ kind: 'resume', uid: userId, rooms, exp: Date.now() + RESUME_TTL_MS });
+  }
+
+  // The room codes from a resume token issued to this user, or null
+  function verifyResume(token, userId) {
+    const payload = verify(token);
+    if (!payload || payload.kind !== 'resume' || payload.uid !== userId || !Array.isArray(payload.rooms)) return null;
+    return payload.rooms.map(String);
+  }
+
+  function issue(user) {
+    const session = { uid: user.id, name: user.name, guest: !!user.guest, exp: Date.now() + TOKEN_TTL_MS };
+    return { token: sign(session), user: publicUser(session) };
+  }
+
+  async function register(username, password) {
+    const name = String(username || '').trim();
+    if (!USERNAME_RE.test(name)) {
+      throw new AuthError('Username must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+    if (String(password || '').length < 8) throw new AuthError('Password must be at least 8 characters');
+    if (await store.getUserByUsername(name)) throw new AuthError('Username is taken', 409);
+    const user = { id: `u_${crypto.randomUUID()}`, username: name, passwordHash: await hashPassword(password), createdAt: Date.now() };
+    await store.createUser(user);
+    return issue({ id: user.id, name: user.username });
+  }
+
+  async function login(username, password) {
+    const user = await store.getUserByUsername(String(username || '').trim());
+    if (!user || !(await checkPassword(String(password || ''), user.passwordHash))) {
+      throw new AuthError('Invalid username or password', 401);
+    }
+    return issue({ id: user.id, name: user.username });
+  }
+
+  function guest(displayName) {
+    const name = String(displayName || 'Guest').trim().slice(0, 40) || 'Guest';
+    return issue({ id: `g_${crypto.randomUUID()}`, name, guest: true });
+  }
+
+  // A fresh token for the same identity under a new display name
+  function rename(user, name) {
+    return issue({ id: user.id, name, guest: user.guest });
+  }
+
+  // Express middleware: attaches req.user from a Bearer token or answers 401
+  function requireUser(req, res, next) {
+    const header = req.get('authorization') || '';
+    const session = verifyToken(header.replace(/^Bearer\s+/i, ''));
+    if (!session) return res.status(401).json({ error: 'Not signed in' });
+    req.user = publicUser(session);
+    next();
+  }
+
+  // Socket.IO middleware: rejects handshakes without a valid token
+  function socketMiddleware(socket, next) {
+    const session = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!session) return next(new Error('unauthorized'));
+    socket.data.user = publicUser(session);
+    next();
+  }
+
+  return { register, login, guest, rename, verifyToken, resumeToken, verifyResume, requireUser, socketMiddleware };
+}
+
+// Also used for room passwords
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function checkPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password || ''), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+export function publicUser(session) {
+  return { id: session.uid, name: session.name, guest: !!session.guest };
+}
+
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
@@ -0,0 +1,51 @@
+// Runs several copies of server.js on one machine with Node cluster.
+// Workers share the port and pass broadcasts and room state to each other
+// through this process (PUBSUB=cluster, see pubsub.js). Every worker must use
+// the same store, so run with STORAGE=sqlite and a shared SESSION_SECRET.
+// Connections are spread over the workers with no sticky sessions, so clients
+// must use WebSocket; long-polling is refused.
+//   CLUSTER_WORKERS=4 STORAGE=sqlite SESSION_SECRET=... node cluster.js
+
+import cluster from 'cluster';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { relayClusterMessages } from './pubsub.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKERS = Number(process.env.CLUSTER_WORKERS) || os.availableParallelism();
+// A worker that dies this soon after starting is broken, not unlucky
+const MIN_UPTIME_MS = 5000;
+
+if (process.env.STORAGE !== 'sqlite') {
+  console.warn('Cluster workers each get their own memory store; set STORAGE=sqlite to share rooms and messages');
+}
+// Tokens signed by one worker must verify on the others
+if (!process.env.SESSION_SECRET) process.env.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+
+// Advanced serialization keeps Buffers in relayed broadcasts intact
+cluster.setupPrimary({ exec: path.join(__dirname, 'server.js'), serialization: 'advanced' });
+relayClusterMessages();
+
+const startedAt = new Map(); // worker id -> ms
+
+function fork() {
+  const worker = cluster.fork({ PUBSUB: 'cluster' });
+  startedAt.set(worker.id, Date.now());
+}
+
+cluster.on('exit', (worker, code, signal) => {
+  const uptime = Date.now() - startedAt.get(worker.id);
+  startedAt.delete(worker.id);
+  if (worker.exitedAfterDisconnect) return;
+  console.warn(`Worker ${worker.process.pid} exited (${signal || code})`);
+  if (uptime < MIN_UPTIME_MS) console.warn('Not restarting a worker that failed right after starting');
+  else fork();
+});
+
+for (let i = 0; i < WORKERS; i++) fork();
+console.log(`Started ${WORKERS} workers`);
@@ -0,0 +1,160 @@
+// Slash commands typed into the composer. The registry parses and checks them;
+// each command only talks to the room through the context server.js passes in:
+//   ctx = { user, room, role, reply(text), send(fields), rename(name), setTopic(text),
+//           invite(), kick(userId), findMember(name) -> [{ id, name }] }
+// More commands can be added with registry.register() before the server starts.
+
+const ROLE_RANK = { member: 0, moderator: 1, owner: 2 };
+const PERMISSION_RANK = { member: 0, staff: 1, owner: 2 };
+const NAME_RE = /^[a-z][a-z0-9-]{0,31}$/;
+
+export class CommandError extends Error {}
+
+function allowed(def, role) {
+  return (ROLE_RANK[role] || 0) >= PERMISSION_RANK[def.permission];
+}
+
+// Splits the text after the command name across the declared params; a `rest`
+// param takes the remainder, the others take one word each
+function bindArgs(def, input) {
+  const args = {};
+  let remaining = input.trim();
+  for (const param of def.params) {
+    let value;
+    if (param.rest) {
+      value = remaining;
+      remaining = '';
+    } else {
+      const match = remaining.match(/^(\S+)\s*([\s\S]*)$/);
+      value = match ? match[1] : '';
+      remaining = match ? match[2] : '';
+    }
+    if (!value && param.required) throw new CommandError(`Usage: ${def.usage}`);
+    if (param.maxLength && value.length > param.maxLength) {
+      throw new CommandError(`${param.name} can be at most ${param.maxLength} characters`);
+    }
+    args[param.name] = value;
+  }
+  if (remaining) throw new CommandError(`Usage: ${def.usage}`);
+  return args;
+}
+
+export function createCommandRegistry() {
+  const commands = new Map();
+
+  // def: { name, description, params: [{ name, required, rest, maxLength }],
+  //        permission: 'member' | 'staff' | 'owner', run(ctx, args) }
+  function register(def) {
+    if (!NAME_RE.test(def.name || '')) throw new Error(`Invalid command name "${def.name}"`);
+    if (commands.has(def.name)) throw new Error(`Command /${def.name} is already registered`);
+    const params = def.params || [];
+    const usage = [`/${def.name}`, ...params.map(p => (p.required ? `<${p.name}>` : `[${p.name}]`))].join(' ');
+    commands.set(def.name, { permission: 'member', description: '', ...def, params, usage });
+  }
+
+  // '/name rest' -> { name, input }; null for plain text
+  function parse(text) {
+    const match = /^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), input: match[2] || '' };
+  }
+
+  // What a member with this role can run (everything when no role is given),
+  // for autocomplete and /help
+  function describe(role) {
+    return Array.from(commands.values())
+      .filter(def => role === undefined || allowed(def, role))
+      .map(({ name, usage, description, permission }) => ({ name, usage, description, permission }));
+  }
+
+  // Problems go back to the caller only, through ctx.reply
+  async function execute(ctx, { name, input }) {
+    const def = commands.get(name);
+    try {
+      if (!def) throw new CommandError(`Unknown command /${name}. Type /help for a list.`);
+      if (!allowed(def, ctx.role)) throw new CommandError(`You don't have permission to use /${name}`);
+      await def.run(ctx, bindArgs(def, input));
+    } catch (e) {
+      if (!(e instanceof CommandError)) throw e;
+      ctx.reply(e.message);
+    }
+  }
+
+  return { register, parse, describe, execute };
+}
+
+export function registerBuiltinCommands(registry) {
+  registry.register({
+    name: 'help',
+    description: 'List commands, or show how to use one',
+    params: [{ name: 'command' }],
+    run(ctx, { command }) {
+      if (command) {
+        const def = registry.describe(ctx.role).find(c => c.name === command.replace(/^\//, '').toLowerCase());
+        if (!def) throw new CommandError(`No command /${command.replace(/^\//, '')}`);
+        ctx.reply(`${def.usage} - ${def.description}`);
+        return;
+      }
+      ctx.reply(registry.describe(ctx.role).map(c => `${c.usage} - ${c.description}`).join('\n'));
+    }
+  });
+
+  registry.register({
+    name: 'me',
+    description: 'Describe an action, e.g. /me waves',
+    params: [{ name: 'action', required: true, rest: true, maxLength: 2000 }],
+    run: (ctx, { action }) => ctx.send({ text: action, action: true })
+  });
+
+  registry.register({
+    name: 'shrug',
+    description: 'Append ¯\\_(ツ)_/¯ to your message',
+    params: [{ name: 'message', rest: true, maxLength: 1980 }],
+    run: (ctx, { message }) => ctx.send({ text: `${message} ¯\\_(ツ)_/¯`.trim() })
+  });
+
+  registry.register({
+    name: 'nick',
+    description: 'Change the name others see',
+    params: [{ name: 'name', required: true, rest: true, maxLength: 40 }],
+    run(ctx, { name }) {
+      if (/[\u0000-\u001f]/.test(name)) throw new CommandError('Names cannot contain control characters');
+      if (name === ctx.user.name) throw new CommandError(`You are already called ${name}`);
+      return ctx.rename(name);
+    }
+  });
+
+  registry.register({
+    name: 'topic',
+    description: 'Show the room topic, or set it (owners and moderators; "-" clears it)',
+    params: [{ name: 'topic', rest: true, maxLength: 200 }],
+    run(ctx, { topic }) {
+      if (!topic) {
+        ctx.reply(ctx.room.settings.topic ? `Topic: ${ctx.room.settings.topic}` : 'This room has no topic');
+        return;
+      }
+      if (ctx.role === 'member') throw new CommandError('Only owners and moderators can change the topic');
+      return ctx.setTopic(topic === '-' ? '' : topic);
+    }
+  });
+
+  registry.register({
+    name: 'invite',
+    description: 'Create an invite link for this room',
+    permission: 'staff',
+    run: (ctx) => ctx.invite()
+  });
+
+  registry.register({
+    name: 'kick',
+    description: 'Remove someone from the room',
+    permission: 'staff',
+    params: [{ name: 'name', required: true, rest: true }],
+    run(ctx, { name }) {
+      const found = ctx.findMember(name.replace(/^@/, ''));
+      if (!found.length) throw new CommandError(`Nobody called ${name} is here`);
+      if (found.length > 1) throw new CommandError(`More than one person is called ${name}; use the members list`);
+      return ctx.kick(found[0].id);
+    }
+  });
+}
@@ -0,0 +1,44 @@
+// ICE servers handed to call participants (RTCPeerConnection's iceServers).
+// STUN_URLS and TURN_URLS are comma-separated. TURN either takes fixed
+// TURN_USERNAME/TURN_CREDENTIAL or, with TURN_SECRET, short-lived credentials
+// in the TURN REST format (coturn's use-auth-secret).
+
+import crypto from 'crypto';
+
+const DEFAULT_STUN = 'stun:stun.l.google.com:19302';
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+function urlList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+export function createIceServers({
+  stunUrls = DEFAULT_STUN, turnUrls, turnUsername, turnCredential, turnSecret, ttlSeconds = DEFAULT_TTL_SECONDS
+} = {}) {
+  const stun = urlList(stunUrls);
+  const turn = urlList(turnUrls);
+  if (turn.length && !turnSecret && !(turnUsername && turnCredential)) {
+    console.warn('TURN_URLS is set without TURN_SECRET or TURN_USERNAME/TURN_CREDENTIAL; TURN is disabled');
+  }
+
+  function turnCredentials(userId) {
+    if (turnSecret) {
+      const username = `${Math.floor(Date.now() / 1000) + ttlSeconds}:${userId}`;
+      const credential = crypto.createHmac('sha1', turnSecret).update(username).digest('base64');
+      return { username, credential };
+    }
+    if (turnUsername && turnCredential) return { username: turnUsername, credential: turnCredential };
+    return null;
+  }
+
+  // The list for one person; credentials from TURN_SECRET expire after ttlSeconds
+  function forUser(userId) {
+    const servers = [];
+    if (stun.length) servers.push({ urls: stun });
+    const credentials = turn.length ? turnCredentials(userId) : null;
+    if (credentials) servers.push({ urls: turn, ...credentials });
+    return servers;
+  }
+
+  return { forUser };
+}
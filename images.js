@@ -0,0 +1,121 @@
+// Image metadata and thumbnails for uploads. Dimensions are read from the file
+// header in plain JS; thumbnails need the optional "sharp" package and are
+// skipped (clients fall back to the full image) when it is not installed.
+
+import fs from 'fs';
+
+export const THUMB_MAX = 320;
+const HEADER_BYTES = 64 * 1024;
+
+function pngSize(b) {
+  if (b.length < 24) return null;
+  return { width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+}
+
+function gifSize(b) {
+  if (b.length < 10) return null;
+  return { width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+}
+
+// EXIF orientation from an APP1 segment starting at `start`; 1 (upright) when absent
+function exifOrientation(b, start, end) {
+  if (end - start < 14 || b.toString('latin1', start, start + 6) !== 'Exif\0\0') return 1;
+  const tiff = start + 6;
+  const le = b.toString('latin1', tiff, tiff + 2) === 'II';
+  const u16 = (at) => (le ? b.readUInt16LE(at) : b.readUInt16BE(at));
+  const u32 = (at) => (le ? b.readUInt32LE(at) : b.readUInt32BE(at));
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > end) return 1;
+  const count = u16(ifd);
+  for (let n = 0; n < count && ifd + 2 + n * 12 + 12 <= end; n++) {
+    const entry = ifd + 2 + n * 12;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return 1;
+}
+
+// Walk the JPEG segments until a start-of-frame marker. Orientations 5-8 are
+// rotated a quarter turn, so the displayed size is the stored one swapped.
+function jpegSize(b) {
+  let i = 2;
+  let orientation = 1;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xff) return null;
+    const marker = b[i + 1];
+    if (marker === 0xff) { i++; continue; }
+    const length = b.readUInt16BE(i + 2);
+    if (marker === 0xe1 && i + 2 + length <= b.length) orientation = exifOrientation(b, i + 4, i + 2 + length);
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+    if (isFrame) {
+      const width = b.readUInt16BE(i + 7);
+      const height = b.readUInt16BE(i + 5);
+      return orientation >= 5 ? { width: height, height: width } : { width, height };
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+function webpSize(b) {
+  if (b.length < 30) return null;
+  const chunk = b.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') return { width: b.readUInt16LE(26) & 0x3fff, height: b.readUInt16LE(28) & 0x3fff };
+  if (chunk === 'VP8L') {
+    const bits = b.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') return { width: b.readUIntLE(24, 3) + 1, height: b.readUIntLE(27, 3) + 1 };
+  return null;
+}
+
+const READERS = { 'image/png': pngSize, 'image/gif': gifSize, 'image/jpeg': jpegSize, 'image/webp': webpSize };
+
+// { width, height } of a sniffed image, or null when the header is unreadable
+export async function imageSize(filePath, mime) {
+  const read = READERS[mime];
+  if (!read) return null;
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+    const size = read(buf.subarray(0, bytesRead));
+    return size && size.width > 0 && size.height > 0 ? size : null;
+  } catch (e) {
+    if (e.code === 'ERR_OUT_OF_RANGE') return null; // truncated header
+    throw e;
+  } finally {
+    await handle.close();
+  }
+}
+
+let sharpLoader;
+function loadSharp() {
+  if (!sharpLoader) {
+    sharpLoader = import('sharp')
+      .then(m => m.default)
+      .catch(() => {
+        console.warn('Image thumbnails are disabled: install the optional "sharp" package to enable them');
+        return null;
+      });
+  }
+  return sharpLoader;
+}
+
+// Writes a WebP thumbnail no larger than THUMB_MAX on either side. Returns
+// false when thumbnails are unavailable or the image could not be decoded.
+export async function createThumbnail(srcPath, destPath) {
+  const sharp = await loadSharp();
+  if (!sharp) return false;
+  try {
+    await sharp(srcPath, { animated: false })
+      .rotate()
+      .resize(THUMB_MAX, THUMB_MAX, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toFile(destPath);
+    return true;
+  } catch (e) {
+    console.warn('Could not create thumbnail:', e.message);
+    await fs.promises.unlink(destPath).catch(() => {});
+    return false;
+  }
+}
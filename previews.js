@@ -0,0 +1,177 @@
+// Open Graph link previews for the first URL in a message.
+// LINK_PREVIEWS=off (default) disables them, on fetches pages, and stub answers
+// from a canned preview without touching the network (for local testing).
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const URL_RE = /https?:\/\/[^\s<>()]+[^\s<>().,:;!?"']/i;
+const MAX_BYTES = 256 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_MAX = 500;
+// Failed fetches are tried again after this long; previews are kept
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+
+export function firstUrl(text) {
+  const match = URL_RE.exec(String(text || ''));
+  return match ? match[0] : null;
+}
+
+// Loopback, private, link-local and other addresses a preview must never reach.
+// IPv4 rules also cover IPv4-mapped IPv6 in every spelling (::ffff:7f00:1 too);
+// the IPv6 prefixes that embed an IPv4 address are refused as a whole.
+const PRIVATE = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) PRIVATE.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['::ffff:0:0:0', 96], // IPv4-translated
+  ['64:ff9b::', 96], ['64:ff9b:1::', 48], // NAT64
+  ['100::', 64], ['2002::', 16], // discard-only, 6to4
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) PRIVATE.addSubnet(address, prefix, 'ipv6');
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function refuse(hostname) {
+  return new Error(`Refusing to preview private address ${hostname}`);
+}
+
+// dns.lookup for preview connections. The addresses are checked as the socket
+// connects, so a name can't pass a check and then resolve somewhere private.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) return callback(refuse(hostname));
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// One GET without following redirects; connections never reach private addresses
+function get(url, timeoutMs) {
+  // Sockets skip the lookup for IP literals, so those are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) return Promise.reject(refuse(host));
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, {
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'user-agent': 'GroupChatLinkPreview/1.0', accept: 'text/html' }
+    }, resolve);
+    req.on('error', reject);
+  });
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'" };
+function decodeEntities(s) {
+  return s.replace(/&(amp|lt|gt|quot|#39|apos);/g, (_, e) => ENTITIES[e])
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)));
+}
+
+function metaContent(html, key) {
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attr = (name) => {
+      const m = new RegExp(`${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(tag);
+      return m ? (m[2] ?? m[3]) : null;
+    };
+    if ((attr('property') || attr('name') || '').toLowerCase() === key) {
+      const content = attr('content');
+      if (content) return decodeEntities(content).trim();
+    }
+  }
+  return null;
+}
+
+export function parsePreview(html, url) {
+  const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+  const title = metaContent(html, 'og:title') || (titleTag && decodeEntities(titleTag[1]).trim());
+  if (!title) return null;
+  let image = metaContent(html, 'og:image');
+  try {
+    image = image ? new URL(image, url).href : null;
+  } catch {
+    image = null;
+  }
+  return {
+    url,
+    title: title.slice(0, 200),
+    description: (metaContent(html, 'og:description') || metaContent(html, 'description') || '').slice(0, 300),
+    siteName: (metaContent(html, 'og:site_name') || new URL(url).hostname).slice(0, 100),
+    image: image && /^https:\/\//i.test(image) ? image : null
+  };
+}
+
+// The start of an HTML page, following a few redirects and checking every hop
+async function fetchHead(url, timeoutMs) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const parsed = new URL(current);
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    const res = await get(parsed, timeoutMs);
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      current = new URL(res.headers.location, parsed).href;
+      continue;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300 || !/text\/html/i.test(res.headers['content-type'] || '')) {
+      res.resume();
+      return null;
+    }
+    const chunks = [];
+    let size = 0;
+    // Leaving the loop early closes the connection
+    for await (const chunk of res) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= MAX_BYTES) break;
+    }
+    return { html: Buffer.concat(chunks).toString('utf8'), url: current };
+  }
+  return null;
+}
+
+function stubPreview(url) {
+  const { hostname } = new URL(url);
+  return { url, title: `Preview of ${hostname}`, description: 'Stub preview (LINK_PREVIEWS=stub)', siteName: hostname, image: null };
+}
+
+export function createPreviewer({ mode = 'off', timeoutMs = 5000 } = {}) {
+  const cache = new Map(); // url -> { preview: Promise<preview|null>, expires }
+
+  async function load(url) {
+    if (mode === 'stub') return stubPreview(url);
+    const page = await fetchHead(url, timeoutMs);
+    return page ? parsePreview(page.html, url) : null;
+  }
+
+  // Resolves to a preview for the first link in `text`, or null
+  async function previewFor(text) {
+    if (mode !== 'on' && mode !== 'stub') return null;
+    const url = firstUrl(text);
+    if (!url) return null;
+    const cached = cache.get(url);
+    if (cached && cached.expires > Date.now()) return cached.preview;
+    cache.delete(url);
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    const entry = { preview: null, expires: Infinity };
+    entry.preview = load(url).catch((e) => {
+      console.warn(`Link preview failed for ${url}: ${e.message}`);
+      entry.expires = Date.now() + FAILURE_TTL_MS;
+      return null;
+    });
+    cache.set(url, entry);
+    return entry.preview;
+  }
+
+  return { enabled: mode === 'on' || mode === 'stub', previewFor };
+}
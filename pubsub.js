@@ -0,0 +1,244 @@
+// Pub/sub transports that let several server instances act as one.
+// Pick one with PUBSUB=local|cluster|redis (default: cluster under cluster.js,
+// local otherwise):
+//   local   - a single process; nothing leaves it
+//   cluster - Node cluster workers, relayed by the primary over IPC (see cluster.js)
+//   redis   - any server speaking the Redis PUBLISH/SUBSCRIBE protocol at REDIS_URL
+//             (Redis, Valkey, or redis-standin.js for local testing)
+// Every transport exposes:
+//   kind, publish(channel, message), subscribe(channel, handler(message)), close()
+// Messages are plain values (objects, arrays, strings, numbers, booleans, null)
+// and may hold Buffers, which Socket.IO broadcasts of binary data carry: redis
+// encodes them with MessagePack, cluster uses advanced IPC serialization.
+// Subscribers may also get their own messages back, so they should tell them apart.
+// createBusAdapter() carries Socket.IO broadcasts over a transport so emits
+// reach sockets connected to any instance.
+
+import cluster from 'cluster';
+import net from 'net';
+import { EventEmitter } from 'events';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+import msgpack from 'notepack.io';
+
+const RECONNECT_DELAY_MS = 1000;
+const MAX_QUEUED = 1000;
+const CRLF = Buffer.from('\r\n');
+
+function localPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return {
+    kind: 'local',
+    publish(channel, message) {
+      setImmediate(() => emitter.emit(channel, message));
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+    },
+    async close() {
+      emitter.removeAllListeners();
+    }
+  };
+}
+
+// Workers hand messages to the primary, which passes them on to every other worker
+function clusterPubSub() {
+  if (!cluster.isWorker) throw new Error('PUBSUB=cluster needs the server to be started by cluster.js');
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const onMessage = (m) => {
+    if (m && m.pubsub) emitter.emit(m.channel, m.message);
+  };
+  process.on('message', onMessage);
+  return {
+    kind: 'cluster',
+    publish(channel, message) {
+      if (process.connected) process.send({ pubsub: true, channel, message });
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+    },
+    async close() {
+      process.off('message', onMessage);
+      emitter.removeAllListeners();
+    }
+  };
+}
+
+// The primary's half of the cluster transport
+export function relayClusterMessages() {
+  cluster.on('message', (from, m) => {
+    if (!m || !m.pubsub) return;
+    for (const worker of Object.values(cluster.workers)) {
+      if (worker !== from && worker.isConnected()) worker.send(m);
+    }
+  });
+}
+
+// Arguments are strings or Buffers
+export function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const data = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${data.length}\r\n`), data, CRLF);
+  }
+  return Buffer.concat(parts);
+}
+
+// One RESP value starting at `pos`: [value, next position], or null until more
+// bytes arrive. Bulk strings come back as Buffers, since they may be binary.
+export function parseResp(buf, pos = 0) {
+  const end = buf.indexOf('\r\n', pos);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[pos]);
+  const line = buf.toString('utf8', pos + 1, end);
+  switch (type) {
+    case '+': return [line, end + 2];
+    case '-': return [new Error(line), end + 2];
+    case ':': return [Number(line), end + 2];
+    case '$': {
+      const len = Number(line);
+      if (len === -1) return [null, end + 2];
+      if (buf.length < end + 2 + len + 2) return null;
+      return [buf.subarray(end + 2, end + 2 + len), end + 2 + len + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return [null, end + 2];
+      const items = [];
+      let next = end + 2;
+      for (let i = 0; i < count; i++) {
+        const item = parseResp(buf, next);
+        if (!item) return null;
+        items.push(item[0]);
+        next = item[1];
+      }
+      return [items, next];
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+}
+
+// A connection that comes back by itself; `onOpen(send)` runs after every
+// (re)connect, before queued commands go out
+function redisConnection(url, { onValue, onOpen }) {
+  const { hostname, port, username, password } = new URL(url);
+  const address = `${hostname || '127.0.0.1'}:${Number(port) || 6379}`;
+  const queue = [];
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let ready = false;
+  let closed = false;
+
+  function send(args) {
+    const command = encodeCommand(args);
+    if (ready) socket.write(command);
+    else if (queue.length < MAX_QUEUED) queue.push(command);
+  }
+
+  function connect() {
+    buffer = Buffer.alloc(0);
+    socket = net.connect(Number(port) || 6379, hostname || '127.0.0.1');
+    socket.on('connect', () => {
+      ready = true;
+      if (password) {
+        const secret = decodeURIComponent(password);
+        send(username ? ['AUTH', decodeURIComponent(username), secret] : ['AUTH', secret]);
+      }
+      if (onOpen) onOpen(send);
+      queue.splice(0).forEach(command => socket.write(command));
+    });
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseResp(buffer))) {
+        buffer = buffer.subarray(parsed[1]);
+        if (parsed[0] instanceof Error) console.warn(`Pub/sub server ${address}: ${parsed[0].message}`);
+        else if (onValue) onValue(parsed[0]);
+      }
+    });
+    socket.on('error', (e) => console.warn(`Pub/sub connection to ${address} failed: ${e.message}`));
+    socket.on('close', () => {
+      ready = false;
+      if (!closed) setTimeout(connect, RECONNECT_DELAY_MS).unref();
+    });
+  }
+
+  connect();
+  return {
+    send,
+    close() {
+      closed = true;
+      socket.end();
+    }
+  };
+}
+
+// Subscriptions need a connection of their own; publishing uses a second one
+function redisPubSub(url) {
+  const handlers = new Map(); // channel -> [handler]
+  const sub = redisConnection(url, {
+    onOpen: (send) => {
+      if (handlers.size) send(['SUBSCRIBE', ...handlers.keys()]);
+    },
+    onValue: (value) => {
+      if (!Array.isArray(value) || String(value[0]) !== 'message') return;
+      let message;
+      try {
+        message = msgpack.decode(value[2]);
+      } catch {
+        return;
+      }
+      (handlers.get(String(value[1])) || []).forEach(handler => handler(message));
+    }
+  });
+  const pub = redisConnection(url, {});
+  return {
+    kind: 'redis',
+    publish(channel, message) {
+      pub.send(['PUBLISH', channel, msgpack.encode(message)]);
+    },
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        sub.send(['SUBSCRIBE', channel]);
+      }
+      handlers.get(channel).push(handler);
+    },
+    async close() {
+      sub.close();
+      pub.close();
+    }
+  };
+}
+
+export function createPubSub({ kind, url } = {}) {
+  const chosen = kind || (cluster.isWorker ? 'cluster' : 'local');
+  if (chosen === 'local') return localPubSub();
+  if (chosen === 'cluster') return clusterPubSub();
+  if (chosen === 'redis') return redisPubSub(url || 'redis://127.0.0.1:6379');
+  throw new Error(`Unknown PUBSUB "${kind}" (use local, cluster or redis)`);
+}
+
+// A Socket.IO adapter class (for the `adapter` server option) that shares
+// broadcasts, room changes and fetchSockets() with the other instances on `bus`
+export function createBusAdapter(bus, { prefix = 'socket.io' } = {}) {
+  return class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.channel = `${prefix}#${nsp.name}`;
+      bus.subscribe(this.channel, (message) => this.onMessage(message));
+      bus.subscribe(`${this.channel}#${this.uid}`, (response) => this.onResponse(response));
+    }
+
+    async doPublish(message) {
+      bus.publish(this.channel, message);
+      return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      bus.publish(`${this.channel}#${requesterUid}`, response);
+    }
+  };
+}
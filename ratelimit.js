@@ -0,0 +1,106 @@
+// Token-bucket rate limiting for socket events, per socket and per client IP,
+// and for a few HTTP endpoints ('http:*', per client IP only).
+// Each event type has its own buckets; unknown events fall back to '*'.
+// Limits are [capacity, refill per second] and can be overridden with the
+// RATE_LIMITS env var, e.g. {"message:send":{"socket":[5,1]}}.
+// Going over a limit disconnects the socket, except for events marked
+// `quiet`, which are only dropped.
+
+export const DEFAULT_LIMITS = {
+  'connection': { ip: [20, 0.5] },
+  // Sign-ins and sign-ups: each one runs scrypt
+  'http:auth': { ip: [10, 0.2] },
+  'message:send': { socket: [10, 1], ip: [30, 3] },
+  'message:typing': { socket: [20, 4], ip: [60, 12], quiet: true },
+  'message:search': { socket: [10, 0.5], ip: [30, 1.5] },
+  'webrtc:signal': { socket: [300, 60], ip: [900, 180] },
+  '*': { socket: [60, 10], ip: [200, 30] }
+};
+
+export function parseLimits(raw) {
+  if (!raw) return DEFAULT_LIMITS;
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (e) {
+    console.warn('Ignoring RATE_LIMITS: not valid JSON');
+    return DEFAULT_LIMITS;
+  }
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [event, rule] of Object.entries(overrides || {})) {
+    limits[event] = { ...(DEFAULT_LIMITS[event] || {}), ...rule };
+  }
+  return limits;
+}
+
+function createBucket([capacity, perSecond], now) {
+  return { tokens: capacity, capacity, perSecond, updated: now };
+}
+
+// Refill by elapsed time, then try to spend one token
+function take(bucket, now) {
+  const elapsed = (now - bucket.updated) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.perSecond);
+  bucket.updated = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+export function createRateLimiter(limits = DEFAULT_LIMITS) {
+  const ipBuckets = new Map(); // `${ip}|${event}` -> bucket
+
+  function ruleFor(event) {
+    return limits[event] || limits['*'] || {};
+  }
+
+  function takeIp(ip, event, now) {
+    const rule = ruleFor(event).ip;
+    if (!rule || !ip) return true;
+    const key = `${ip}|${limits[event] ? event : '*'}`;
+    let bucket = ipBuckets.get(key);
+    if (!bucket) ipBuckets.set(key, bucket = createBucket(rule, now));
+    return take(bucket, now);
+  }
+
+  // One per socket; returns true when the event may go through
+  function forSocket(ip) {
+    const buckets = new Map();
+    return (event) => {
+      const now = Date.now();
+      const rule = ruleFor(event).socket;
+      if (rule) {
+        const key = limits[event] ? event : '*';
+        let bucket = buckets.get(key);
+        if (!bucket) buckets.set(key, bucket = createBucket(rule, now));
+        if (!take(bucket, now)) return false;
+      }
+      return takeIp(ip, event, now);
+    };
+  }
+
+  // Whether going over the limit for `event` only drops it
+  function isQuiet(event) {
+    return !!ruleFor(event).quiet;
+  }
+
+  function allowConnection(ip) {
+    return takeIp(ip, 'connection', Date.now());
+  }
+
+  function allowRequest(ip, name) {
+    return takeIp(ip, name, Date.now());
+  }
+
+  // Drop IP buckets that have refilled completely; they hold no state worth keeping
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of ipBuckets) {
+      const tokens = bucket.tokens + ((now - bucket.updated) / 1000) * bucket.perSecond;
+      if (tokens >= bucket.capacity) ipBuckets.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return { forSocket, isQuiet, allowConnection, allowRequest };
+}
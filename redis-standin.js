@@ -0,0 +1,91 @@
+// A tiny stand-in for Redis pub/sub, for trying PUBSUB=redis without a real
+// server. It understands SUBSCRIBE, UNSUBSCRIBE, PUBLISH, PING, AUTH and QUIT
+// and keeps nothing; use Redis or Valkey in production.
+//   REDIS_STANDIN_PORT=6379 node redis-standin.js
+
+import net from 'net';
+import { encodeCommand, parseResp } from './pubsub.js';
+
+const PORT = Number(process.env.REDIS_STANDIN_PORT) || 6379;
+
+const subscribers = new Map(); // channel -> Set<socket>
+
+function bulk(value) {
+  return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function subscribed(socket) {
+  let count = 0;
+  for (const set of subscribers.values()) if (set.has(socket)) count++;
+  return count;
+}
+
+function unsubscribe(socket, channel) {
+  const set = subscribers.get(channel);
+  if (!set) return;
+  set.delete(socket);
+  if (!set.size) subscribers.delete(channel);
+}
+
+// Arguments arrive as Buffers; published messages are passed on untouched
+function handle(socket, [name, ...raw]) {
+  const args = raw.map(String);
+  switch (String(name).toUpperCase()) {
+    case 'SUBSCRIBE':
+      for (const channel of args) {
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(socket);
+        socket.write(`*3\r\n${bulk('subscribe')}${bulk(channel)}:${subscribed(socket)}\r\n`);
+      }
+      return;
+    case 'UNSUBSCRIBE': {
+      const channels = args.length ? args : Array.from(subscribers.keys()).filter(c => subscribers.get(c).has(socket));
+      for (const channel of channels) {
+        unsubscribe(socket, channel);
+        socket.write(`*3\r\n${bulk('unsubscribe')}${bulk(channel)}:${subscribed(socket)}\r\n`);
+      }
+      return;
+    }
+    case 'PUBLISH': {
+      const [channel] = args;
+      const message = raw[1];
+      const set = subscribers.get(channel) || new Set();
+      for (const s of set) s.write(encodeCommand(['message', channel, message]));
+      socket.write(`:${set.size}\r\n`);
+      return;
+    }
+    case 'PING':
+      socket.write(args.length ? bulk(args[0]) : '+PONG\r\n');
+      return;
+    case 'AUTH':
+      socket.write('+OK\r\n');
+      return;
+    case 'QUIT':
+      socket.end('+OK\r\n');
+      return;
+    default:
+      socket.write(`-ERR unknown command '${name}'\r\n`);
+  }
+}
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let parsed;
+      while ((parsed = parseResp(buffer))) {
+        buffer = buffer.subarray(parsed[1]);
+        if (Array.isArray(parsed[0]) && parsed[0].length) handle(socket, parsed[0]);
+      }
+    } catch (e) {
+      socket.end(`-ERR ${e.message}\r\n`);
+    }
+  });
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    for (const channel of Array.from(subscribers.keys())) unsubscribe(socket, channel);
+  });
+});
+
+server.listen(PORT, () => console.log(`Redis stand-in listening on ${PORT}`));
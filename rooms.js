@@ -0,0 +1,169 @@
+// Room access policy: visibility settings, roles, invites, bans and mutes.
+// Pure helpers over a room's `settings` object; server.js owns the live rooms.
+
+import crypto from 'crypto';
+import { hashPassword, checkPassword } from './auth.js';
+
+// public: findable by name; unlisted: code only; password: name or code plus a password;
+// invite: code plus an invite token (or an earlier accepted invite)
+export const VISIBILITIES = ['public', 'unlisted', 'password', 'invite'];
+export const ROLES = ['owner', 'moderator', 'member'];
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class RoomAccessError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+// Settings of a public room with nobody admitted, banned or muted yet
+function blankSettings(ownerId = null) {
+  return {
+    visibility: 'public',
+    passwordHash: null,
+    ownerId,
+    topic: '',
+    roles: {}, // userId -> 'moderator'
+    invites: {}, // token -> expiry timestamp
+    allowed: [], // userIds that got past a password or invite
+    bans: [], // { userId, name, ip, until, by } - ip is set for IP bans, until is null for permanent
+    mutes: {} // userId -> until timestamp (null for indefinite)
+  };
+}
+
+export async function buildSettings({ visibility = 'public', password, ownerId = null } = {}) {
+  if (!VISIBILITIES.includes(visibility)) throw new RoomAccessError('Unknown room visibility', 'invalid');
+  if (visibility === 'password' && !String(password || '')) {
+    throw new RoomAccessError('Password-protected rooms need a password', 'invalid');
+  }
+  const passwordHash = visibility === 'password' ? await hashPassword(password) : null;
+  return { ...blankSettings(ownerId), visibility, passwordHash };
+}
+
+// Older rooms were stored without settings and behave as public with no owner
+export function normalizeSettings(settings) {
+  return { ...blankSettings(), ...(settings || {}) };
+}
+
+export function isDiscoverable(settings) {
+  return settings.visibility === 'public' || settings.visibility === 'password';
+}
+
+export function roleOf(settings, userId) {
+  if (settings.ownerId && settings.ownerId === userId) return 'owner';
+  return settings.roles[userId] || 'member';
+}
+
+export function isStaff(settings, userId) {
+  return roleOf(settings, userId) !== 'member';
+}
+
+// Throws RoomAccessError when the user may not enter. Returns true when the
+// settings changed (an invite or password was accepted) and should be saved.
+export async function admit(settings, userId, { password, invite, ip } = {}) {
+  if (isStaff(settings, userId)) return false;
+  if (isBanned(settings, userId, ip)) throw new RoomAccessError('You are banned from this room', 'banned');
+  if (settings.allowed.includes(userId)) return false;
+  if (settings.visibility === 'password') {
+    if (!password) throw new RoomAccessError('This room needs a password', 'password_required');
+    if (!(await checkPassword(password, settings.passwordHash))) throw new RoomAccessError('Wrong room password', 'password_invalid');
+    settings.allowed.push(userId);
+    return true;
+  }
+  if (settings.visibility === 'invite') {
+    const expires = invite && settings.invites[invite];
+    if (!expires || expires < Date.now()) throw new RoomAccessError('This room is invite-only', 'invite_required');
+    settings.allowed.push(userId);
+    return true;
+  }
+  return false;
+}
+
+// Owners can act on anyone else; moderators only on plain members
+export function canModerate(settings, actorId, targetId) {
+  const actor = roleOf(settings, actorId);
+  const target = roleOf(settings, targetId);
+  if (actor === 'owner') return target !== 'owner';
+  return actor === 'moderator' && target === 'member';
+}
+
+function active(until, now) {
+  return until == null || until > now;
+}
+
+// Bans that have not expired yet; expired ones are dropped from settings
+export function activeBans(settings) {
+  const now = Date.now();
+  settings.bans = settings.bans.filter(b => active(b.until, now));
+  return settings.bans;
+}
+
+// Staff are never caught by a ban (banning someone strips their role first)
+export function isBanned(settings, userId, ip) {
+  if (isStaff(settings, userId)) return false;
+  return activeBans(settings).some(b => b.userId === userId || (ip && b.ip && b.ip === ip));
+}
+
+// `by` is the staff member placing the ban (see canLiftBan)
+export function addBan(settings, { userId, name = '', ip = null, minutes, by = null }) {
+  const until = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+  settings.bans = settings.bans.filter(b => b.userId !== userId);
+  settings.bans.push({ userId, name, ip, until, by });
+  // A ban also strips any role and earlier admission
+  delete settings.roles[userId];
+  settings.allowed = settings.allowed.filter(id => id !== userId);
+  return until;
+}
+
+// Owners can lift any ban; moderators only the ones they placed
+export function canLiftBan(settings, actorId, ban) {
+  const actor = roleOf(settings, actorId);
+  if (actor === 'owner') return true;
+  return actor === 'moderator' && !!ban.by && ban.by === actorId;
+}
+
+export function removeBan(settings, userId) {
+  const before = settings.bans.length;
+  settings.bans = settings.bans.filter(b => b.userId !== userId);
+  return settings.bans.length !== before;
+}
+
+export function isMuted(settings, userId) {
+  if (!(userId in settings.mutes)) return false;
+  if (active(settings.mutes[userId], Date.now())) return true;
+  delete settings.mutes[userId];
+  return false;
+}
+
+export function addMute(settings, userId, minutes) {
+  const until = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+  settings.mutes[userId] = until;
+  return until;
+}
+
+export function removeMute(settings, userId) {
+  if (!(userId in settings.mutes)) return false;
+  delete settings.mutes[userId];
+  return true;
+}
+
+export function createInvite(settings) {
+  const now = Date.now();
+  for (const [token, expires] of Object.entries(settings.invites)) {
+    if (expires < now) delete settings.invites[token];
+  }
+  const token = crypto.randomBytes(9).toString('base64url');
+  settings.invites[token] = now + INVITE_TTL_MS;
+  return token;
+}
+
+// Changing how a room is protected forgets everyone admitted under the old rules
+export async function changeVisibility(settings, visibility, password) {
+  const next = await buildSettings({ visibility, password, ownerId: settings.ownerId });
+  settings.visibility = next.visibility;
+  settings.passwordHash = next.passwordHash;
+  settings.invites = visibility === 'invite' ? settings.invites : {};
+  settings.allowed = [];
+}
@@ -0,0 +1,103 @@
+// Durable timers for scheduled sends and message expiry. Jobs are saved in the
+// store and re-armed on startup, so with persistent storage they survive a
+// restart; jobs that fell due while the server was down run right away.
+// Instances sharing a store all arm every job (see track/forget) and claim a
+// due job by deleting it from the store first, so exactly one of them runs it;
+// the claim is reported as a removal so the others drop the job too.
+
+const MAX_DELAY = 2 ** 31 - 1; // setTimeout's limit; later jobs are re-armed on wake-up
+
+// handlers: { [kind]: async (data, job) => {} }
+// onChange('added' | 'removed', job) reports local changes for other instances
+export function createScheduler({ store, handlers, onChange = () => {} }) {
+  const jobs = new Map(); // id -> { id, kind, runAt, data }
+  let timer = null;
+  let running = false;
+
+  // One timer for whichever job is due first
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    let next = null;
+    for (const job of jobs.values()) if (!next || job.runAt < next.runAt) next = job;
+    if (!next) return;
+    timer = setTimeout(runDue, Math.min(Math.max(next.runAt - Date.now(), 0), MAX_DELAY));
+    timer.unref();
+  }
+
+  async function runDue() {
+    if (running) return;
+    running = true;
+    try {
+      const due = Array.from(jobs.values())
+        .filter(j => j.runAt <= Date.now())
+        .sort((a, b) => a.runAt - b.runAt);
+      for (const job of due) {
+        jobs.delete(job.id);
+        const claimed = await store.deleteJob(job.id).catch((e) => {
+          console.error('Failed to claim job:', e);
+          return false;
+        });
+        if (!claimed) continue;
+        onChange('removed', job);
+        try {
+          await handlers[job.kind](job.data, job);
+        } catch (e) {
+          console.error(`Scheduled ${job.kind} job ${job.id} failed:`, e);
+        }
+      }
+    } finally {
+      running = false;
+      arm();
+    }
+  }
+
+  async function schedule(kind, runAt, data) {
+    if (!handlers[kind]) throw new Error(`No handler for "${kind}" jobs`);
+    const job = await store.addJob({ kind, runAt, data });
+    jobs.set(job.id, job);
+    arm();
+    onChange('added', job);
+    return job;
+  }
+
+  // False when the job already ran or never existed
+  async function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+    jobs.delete(id);
+    arm();
+    if (!(await store.deleteJob(id))) return false;
+    onChange('removed', job);
+    return true;
+  }
+
+  // A job another instance scheduled in the shared store
+  function track(job) {
+    if (!handlers[job.kind]) return;
+    jobs.set(job.id, job);
+    arm();
+  }
+
+  // A job another instance cancelled or ran
+  function forget(id) {
+    if (jobs.delete(id)) arm();
+  }
+
+  // Pending jobs, soonest first
+  function list(filter = () => true) {
+    return Array.from(jobs.values()).filter(filter).sort((a, b) => a.runAt - b.runAt);
+  }
+
+  async function start() {
+    for (const job of await store.listJobs()) jobs.set(job.id, job);
+    arm();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { schedule, cancel, list, track, forget, start, stop };
+}
@@ -0,0 +1,74 @@
+// Message search: query parsing, the word tokenizer both stores index with,
+// and highlighted snippets. Each store runs the actual search (see storage.js).
+//
+// Query syntax: plain words (all must match, as word prefixes) plus
+//   from:<name>  after:<YYYY-MM-DD>  before:<YYYY-MM-DD>  has:image
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+const SNIPPET_RADIUS = 60;
+const MAX_TERMS = 8;
+
+export function tokenize(text) {
+  return Array.from(String(text || '').toLowerCase().matchAll(WORD_RE), m => m[0]);
+}
+
+function parseDay(value) {
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? null : ts;
+}
+
+// Filters given as fields (from the search form) win over ones typed into the query
+export function parseSearch({ query = '', author, from, to, hasImage } = {}) {
+  const filters = { terms: [], author: null, from: null, to: null, hasImage: false };
+  const words = [];
+  for (const part of String(query).slice(0, 500).split(/\s+/).filter(Boolean)) {
+    const [, key, value] = /^(from|after|before|has):(.+)$/i.exec(part) || [];
+    if (key === undefined) words.push(part);
+    else if (key.toLowerCase() === 'from') filters.author = value.replace(/^@/, '');
+    else if (key.toLowerCase() === 'after') filters.from = parseDay(value);
+    else if (key.toLowerCase() === 'before') filters.to = parseDay(value);
+    else if (value.toLowerCase() === 'image') filters.hasImage = true;
+    else words.push(part);
+  }
+  filters.terms = tokenize(words.join(' ')).slice(0, MAX_TERMS);
+  if (author) filters.author = String(author).replace(/^@/, '').slice(0, 40);
+  if (Number.isFinite(from)) filters.from = from;
+  if (Number.isFinite(to)) filters.to = to;
+  if (hasImage) filters.hasImage = true;
+  return filters;
+}
+
+export function hasImage(msg) {
+  return !!msg.imageUrl || (!!msg.attachment && msg.attachment.kind === 'image');
+}
+
+// Checks everything except the words themselves, which the stores match
+export function matchesFilters(msg, { author, from, to, hasImage: wantImage }) {
+  if (msg.deleted) return false;
+  if (author && String(msg.author || '').toLowerCase() !== author.toLowerCase()) return false;
+  if (from != null && msg.ts < from) return false;
+  if (to != null && msg.ts >= to) return false;
+  return !wantImage || hasImage(msg);
+}
+
+// A window of the text around the first hit, with [start, end] ranges of every
+// matched word inside it so the client can highlight without parsing HTML
+export function snippet(text, terms) {
+  const source = String(text || '');
+  const ranges = [];
+  for (const m of source.matchAll(WORD_RE)) {
+    const word = m[0].toLowerCase();
+    if (terms.some(t => word.startsWith(t))) ranges.push([m.index, m.index + m[0].length]);
+  }
+  const first = ranges.length ? ranges[0][0] : 0;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(source.length, first + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length])
+  };
+}
@@ -5,7 +5,24 @@ import { fileURLToPath } from 'url';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import multer from 'multer';
+import crypto from 'crypto';
 import { Server as SocketIOServer } from 'socket.io';
+import { createStorage } from './storage.js';
+import { createAuth, AuthError } from './auth.js';
+import {
+  RoomAccessError, ROLES, buildSettings, normalizeSettings, isDiscoverable,
+  roleOf, isStaff, admit, createInvite, changeVisibility,
+  canModerate, activeBans, isBanned, addBan, canLiftBan, removeBan, isMuted, addMute, removeMute
+} from './rooms.js';
+import { createRateLimiter, parseLimits } from './ratelimit.js';
+import { sniffType, isInlineType, removeFile, createUploadSweeper } from './uploads.js';
+import { imageSize, createThumbnail } from './images.js';
+import { createCommandRegistry, registerBuiltinCommands } from './commands.js';
+import { createPreviewer } from './previews.js';
+import { parseSearch, snippet, hasImage } from './search.js';
+import { createScheduler } from './scheduler.js';
+import { createPubSub, createBusAdapter } from './pubsub.js';
+import { createIceServers } from './ice.js';
 
 dotenv.config();
 
@@ -13,6 +30,13 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
+// Behind a reverse proxy the client IP comes from X-Forwarded-For; without it
+// every client shares the proxy's address, and so its per-IP rate limits and
+// IP bans. On by default on Render (which sets RENDER), where the app sits behind one.
+const TRUST_PROXY = process.env.TRUST_PROXY ? process.env.TRUST_PROXY === 'true' : !!process.env.RENDER;
+let warnedProxy = false;
+// Set when a load balancer sends each client to the same instance every time
+const STICKY_SESSIONS = process.env.STICKY_SESSIONS === 'true';
 const CLIENT_DIR = path.join(__dirname, '..', 'client');
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
 
@@ -23,7 +47,14 @@ app.use(express.urlencoded({ extended: true }));
 
 // Static serving for client and uploads
 app.use('/', express.static(CLIENT_DIR));
-app.use('/uploads', express.static(UPLOAD_DIR));
+// Uploads are served with their sniffed type only; anything that isn't
+// an image, video or audio file downloads instead of rendering
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  setHeaders: (res, filePath) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (!isInlineType(express.static.mime.lookup(filePath))) res.setHeader('Content-Disposition', 'attachment');
+  }
+}));
 
 // Ensure upload directory exists
 import fs from 'fs';
@@ -31,36 +62,321 @@ if (!fs.existsSync(UPLOAD_DIR)) {
   fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 }
 
-// Multer setup for image uploads
-const maxMb = Number(process.env.MAX_UPLOAD_MB || 5);
+// Multer setup for attachments (images, documents, archives, audio and video)
+const MB = 1024 * 1024;
+const maxMb = Number(process.env.MAX_UPLOAD_MB || 25);
+const USER_QUOTA = Number(process.env.UPLOAD_USER_QUOTA_MB || 50) * MB;
+const ROOM_QUOTA = Number(process.env.UPLOAD_ROOM_QUOTA_MB || 200) * MB;
+// Uploads never attached to a message, or whose message is gone, are removed after this
+const UPLOAD_GRACE_MS = Number(process.env.UPLOAD_GRACE_MINUTES || 60) * 60 * 1000;
 const storage = multer.diskStorage({
   destination: function (req, file, cb) { cb(null, UPLOAD_DIR); },
   filename: function (req, file, cb) {
     const ext = path.extname(file.originalname || '').toLowerCase();
-    const base = path.basename(file.originalname || 'img', ext).replace(/[^a-z0-9_-]/gi, '_');
-    const stamp = Date.now();
+    const base = path.basename(file.originalname || 'file', ext).replace(/[^a-z0-9_-]/gi, '_').slice(0, 60);
+    const stamp = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
     cb(null, `${base}_${stamp}${ext}`);
   }
 });
+// The declared mimetype is not trusted at all; sniffType decides after the write
 const upload = multer({
   storage,
-  limits: { fileSize: maxMb * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const ok = /^image\/(png|jpe?g|webp|gif)$/i.test(file.mimetype);
-    cb(ok ? null : new Error('Invalid image type'), ok);
+  limits: { fileSize: maxMb * MB, files: 1 }
+});
+// `image` is the field name older clients send
+const uploadFields = upload.fields([{ name: 'file', maxCount: 1 }, { name: 'image', maxCount: 1 }]);
+
+// Bytes of uploads that are written but not yet recorded ("user:<id>" or
+// "room:<code>" -> bytes). Quota checks count them, so uploads running side by
+// side can't each fit a quota they overflow together.
+const uploadsInFlight = new Map();
+
+// Upload ids a send is attaching right now. Claimed before the first await, so
+// two sends racing with one upload can't both find it unattached.
+const attachingUploads = new Set();
+
+// Returns the function that gives the reservation back
+function reserveUpload(keys, size) {
+  keys.forEach(key => uploadsInFlight.set(key, (uploadsInFlight.get(key) || 0) + size));
+  return () => keys.forEach((key) => {
+    const left = uploadsInFlight.get(key) - size;
+    if (left > 0) uploadsInFlight.set(key, left);
+    else uploadsInFlight.delete(key);
+  });
+}
+
+// Persistent storage for rooms, messages, uploads and accounts (see storage.js)
+const store = createStorage();
+await store.init();
+
+// Sessions: REST issues signed tokens, sockets present them on connect (see auth.js)
+const auth = createAuth({ store, secret: process.env.SESSION_SECRET });
+
+// Budgets for sockets and a few HTTP routes (see ratelimit.js)
+const limiter = createRateLimiter(parseLimits(process.env.RATE_LIMITS));
+
+// Password checks are slow on purpose, so each client IP gets a few at a time
+function throttleAuth(req, res, next) {
+  if (limiter.allowRequest(requestIp(req), 'http:auth')) return next();
+  res.status(429).json({ error: 'Too many attempts, please wait a minute and try again' });
+}
+
+function sendAuthResult(res, promise) {
+  Promise.resolve(promise)
+    .then(result => res.json(result))
+    .catch(e => {
+      if (e instanceof AuthError) return res.status(e.status).json({ error: e.message });
+      console.error('Auth failed:', e);
+      res.status(500).json({ error: 'Server error' });
+    });
+}
+
+app.post('/api/auth/register', throttleAuth, (req, res) => {
+  const { username, password } = req.body || {};
+  sendAuthResult(res, auth.register(username, password));
+});
+
+app.post('/api/auth/login', throttleAuth, (req, res) => {
+  const { username, password } = req.body || {};
+  sendAuthResult(res, auth.login(username, password));
+});
+
+app.post('/api/auth/guest', (req, res) => {
+  sendAuthResult(res, auth.guest((req.body || {}).name));
+});
+
+app.get('/api/auth/me', auth.requireUser, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Uploads belong to a room the uploader is currently in; the file's magic
+// bytes decide its type and the extension it is stored under
+app.post('/api/upload', auth.requireUser, uploadFields, async (req, res) => {
+  const file = req.files && (req.files.file || req.files.image || [])[0];
+  if (!file) return res.status(400).json({ error: 'No file' });
+  let thumbFilename = null;
+  let release = null;
+  const reject = async (status, error) => {
+    await removeFile(UPLOAD_DIR, file.filename).catch(() => {});
+    await removeFile(UPLOAD_DIR, thumbFilename).catch(() => {});
+    res.status(status).json({ error });
+  };
+  try {
+    const code = String((req.body && req.body.room) || '').trim().toUpperCase();
+    if (!isRoomMember(code, req.user.id)) return reject(403, 'Join the room before uploading');
+    const userKey = `user:${req.user.id}`;
+    const roomKey = `room:${code}`;
+    // Reserved before the first await, so parallel uploads see each other
+    release = reserveUpload([userKey, roomKey], file.size);
+    const type = await sniffType(file.path);
+    if (!type) return reject(415, 'This file type is not supported');
+    const base = path.basename(file.filename, path.extname(file.filename));
+    const storedName = `${base}${type.ext}`;
+    if (storedName !== file.filename) {
+      await fs.promises.rename(file.path, path.join(UPLOAD_DIR, storedName));
+      file.filename = storedName;
+    }
+    const [userUsage, roomUsage] = await Promise.all([
+      store.uploadUsage({ uploaderId: req.user.id }),
+      store.uploadUsage({ roomCode: code })
+    ]);
+    // The in-flight totals include this file
+    if (userUsage + uploadsInFlight.get(userKey) > USER_QUOTA) return reject(413, 'Your upload quota is full');
+    if (roomUsage + uploadsInFlight.get(roomKey) > ROOM_QUOTA) return reject(413, 'This room has used up its upload quota');
+    // Images get their size recorded (so clients can reserve space) and a thumbnail
+    let dimensions = null;
+    if (type.kind === 'image') {
+      dimensions = await imageSize(path.join(UPLOAD_DIR, file.filename), type.mime);
+      const thumbName = `${base}_thumb.webp`;
+      if (await createThumbnail(path.join(UPLOAD_DIR, file.filename), path.join(UPLOAD_DIR, thumbName))) {
+        thumbFilename = thumbName;
+      }
+    }
+    const url = `/uploads/${file.filename}`;
+    const thumbUrl = thumbFilename ? `/uploads/${thumbFilename}` : null;
+    const originalName = String(file.originalname || 'file').slice(0, 200);
+    const saved = await store.addUpload({
+      filename: file.filename,
+      url,
+      mimetype: type.mime,
+      size: file.size,
+      originalName,
+      roomCode: code,
+      uploaderId: req.user.id,
+      createdAt: Date.now(),
+      width: dimensions && dimensions.width,
+      height: dimensions && dimensions.height,
+      thumbFilename
+    });
+    return res.json({
+      id: saved.id,
+      url,
+      thumbUrl,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null,
+      name: originalName,
+      size: file.size,
+      mimetype: type.mime,
+      kind: type.kind
+    });
+  } catch (e) {
+    console.error('Failed to store upload:', e);
+    return reject(500, 'Upload failed');
+  } finally {
+    // Recorded by now (and counted by uploadUsage) or removed
+    if (release) release();
+  }
+});
+
+// The uploader can take a file down; its message loses the attachment
+app.delete('/api/uploads/:id', auth.requireUser, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const found = Number.isInteger(id) ? await store.getUpload(id) : null;
+    if (!found) return res.status(404).json({ error: 'Upload not found' });
+    if (found.uploaderId !== req.user.id) return res.status(403).json({ error: 'Not your upload' });
+    await removeFile(UPLOAD_DIR, found.filename);
+    await removeFile(UPLOAD_DIR, found.thumbFilename);
+    await store.deleteUpload(id);
+    if (found.messageId && found.roomCode) await detachUpload(found);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('Failed to delete upload:', e);
+    return res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+// Upload errors (size limit, rejected type) as JSON rather than an HTML page
+app.use('/api', (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
   }
+  if (err && err.status) return res.status(err.status).json({ error: err.message });
+  next(err);
 });
 
-app.post('/api/upload', upload.single('image'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No file' });
-  const url = `/uploads/${req.file.filename}`;
-  return res.json({ url });
+createUploadSweeper({
+  store,
+  dir: UPLOAD_DIR,
+  graceMs: UPLOAD_GRACE_MS,
+  intervalMs: Number(process.env.UPLOAD_SWEEP_MINUTES || 15) * 60 * 1000
 });
 
-// In-memory rooms and messages
-// Structure: rooms[code] = { name, code, members: Map<socketId, {name,color}>, messages: Array<{author,name,text,imageUrl,ts}> }
+// Live room state; messages live in the store
+// Structure: rooms[code] = { name, code, createdAt, settings, members: Map<socketId, {id,name,color}>,
+//   lastSeen: Map<userId, {id,name,color,lastSeen}> for people whose last connection left,
+//   remote: Map<instanceId, [socketId, {user, presence, ip}][]> connected to other instances,
+//   call: { startedAt } while anyone is in the room's call, else null }
+// settings holds visibility, owner, roles and invites (see rooms.js); reads caches
+// the room's read cursors once loaded (see readCursors)
 const rooms = Object.create(null);
 
+function roomEntry({ name, code, createdAt, settings }) {
+  return {
+    name, code, createdAt, settings: normalizeSettings(settings),
+    members: new Map(), lastSeen: new Map(), remote: new Map(), call: null
+  };
+}
+
+for (const r of await store.listRooms()) rooms[r.code] = roomEntry(r);
+
+// Read cursors (userId -> last message id seen) are loaded from the store on
+// first use and then kept on the room, updated in place
+function readCursors(room) {
+  if (!room.reads) {
+    room.reads = store.getReadCursors(room.code).catch((e) => {
+      room.reads = null;
+      throw e;
+    });
+  }
+  return room.reads;
+}
+
+function persistRoom(room) {
+  store.updateRoom(room.code, room.settings)
+    .catch(e => console.error('Failed to persist room:', e));
+  publishRoom(room);
+}
+
+// History is sent in pages; clients ask for older pages with message:history
+const HISTORY_PAGE = 50;
+const HISTORY_PAGE_MAX = 100;
+
+// Fetch one page of history, plus one extra row to learn whether more remain
+async function loadHistoryPage(code, before, limit) {
+  const rows = await store.getMessages(code, { before, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  return { messages: hasMore ? rows.slice(1) : rows, hasMore };
+}
+
+// Run read-modify-write updates on a room's messages one at a time so
+// concurrent edits and reactions never overwrite each other
+const roomQueues = new Map();
+function serializeByRoom(code, task) {
+  const prev = roomQueues.get(code) || Promise.resolve();
+  const next = prev.then(task, task);
+  const tail = next.catch(() => {});
+  roomQueues.set(code, tail);
+  tail.then(() => { if (roomQueues.get(code) === tail) roomQueues.delete(code); });
+  return next;
+}
+
+const SEARCH_PAGE = 20;
+const DIRECTORY_MAX = 100;
+// How many rooms one connection can be in at the same time
+const MAX_JOINED_ROOMS = 10;
+const MAX_SCHEDULE_DAYS = 30;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+// When to send (sendAt, a timestamp) and how many minutes a message lives
+// (expiresIn) from a message:send payload; { error } when they don't make sense
+function parseTiming({ sendAt, expiresIn }) {
+  const timing = { sendAt: null, expiresIn: null };
+  if (sendAt != null) {
+    const at = Number(sendAt);
+    if (!Number.isFinite(at) || at <= Date.now()) return { error: 'Pick a time in the future' };
+    if (at > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+    }
+    timing.sendAt = at;
+  }
+  if (expiresIn != null) {
+    const minutes = Math.floor(Number(expiresIn));
+    if (!(minutes >= 1 && minutes <= MAX_EXPIRY_MINUTES)) return { error: 'Messages can disappear after 1 minute up to 7 days' };
+    timing.expiresIn = minutes;
+  }
+  return timing;
+}
+const MAX_REACTION_KINDS = 20;
+const REPLY_SNIPPET = 140;
+
+function attachmentLabel(msg) {
+  if (msg.attachment) return msg.attachment.kind === 'image' ? '[image]' : `[${msg.attachment.name}]`;
+  return msg.imageUrl ? '[image]' : '';
+}
+
+// Snapshot of the parent kept on a reply so it renders even when the parent isn't loaded
+function replySnapshot(parent) {
+  return {
+    id: parent.id,
+    author: parent.author,
+    text: (parent.text || attachmentLabel(parent)).slice(0, REPLY_SNIPPET)
+  };
+}
+
+function cleanEmoji(input) {
+  const emoji = String(input || '').trim();
+  if (!emoji || emoji.length > 16 || /\s/.test(emoji)) return null;
+  return emoji;
+}
+
+// Stable per-identity avatar color
+function colorFor(id) {
+  let hash = 0;
+  for (const ch of String(id)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return `hsl(${hash % 360} 70% 50%)`;
+}
+
 function generateCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
   let code = '';
@@ -68,126 +384,1447 @@ function generateCode() {
   return code;
 }
 
-function ensureRoomByName(name) {
-  // Try to find existing by name (case-insensitive)
-  const key = Object.keys(rooms).find(c => rooms[c].name.toLowerCase() === name.toLowerCase());
-  if (key) return rooms[key];
-  const code = generateCode();
-  rooms[code] = { name, code, members: new Map(), messages: [] };
-  return rooms[code];
+// Only public and password rooms can be found by name (case-insensitive)
+function findRoomByName(name) {
+  const key = Object.keys(rooms).find(c =>
+    rooms[c].name.toLowerCase() === name.toLowerCase() && isDiscoverable(rooms[c].settings));
+  return key ? rooms[key] : null;
 }
 
-function getOrCreateRoomByCodeOrName(input) {
+function findRoom(input) {
   const raw = String(input || '').trim();
-  const byCode = rooms[raw];
-  if (byCode) return byCode;
-  // treat as name => create if missing
-  return ensureRoomByName(raw || `room-${generateCode()}`);
+  if (!raw) return null;
+  return rooms[raw.toUpperCase()] || findRoomByName(raw);
+}
+
+function createRoom(name, settings) {
+  let code = generateCode();
+  while (rooms[code]) code = generateCode();
+  rooms[code] = roomEntry({ name, code, createdAt: Date.now(), settings });
+  store.createRoom({ name, code, createdAt: rooms[code].createdAt, settings })
+    .catch(e => console.error('Failed to persist room:', e));
+  publishRoom(rooms[code]);
+  return rooms[code];
+}
+
+// The proxy appends the address it saw, so the last entry is the one to trust;
+// earlier ones come from the client
+function addressOf(headers, address) {
+  const forwarded = headers['x-forwarded-for'];
+  if (forwarded && TRUST_PROXY) return String(forwarded).split(',').pop().trim();
+  if (forwarded && !warnedProxy) {
+    warnedProxy = true;
+    console.warn('Requests carry X-Forwarded-For but TRUST_PROXY is off; behind a proxy, set TRUST_PROXY=true or all clients share one rate limit');
+  }
+  return address;
+}
+
+function clientIp(socket) {
+  return addressOf(socket.handshake.headers, socket.handshake.address);
+}
+
+function requestIp(req) {
+  return addressOf(req.headers, req.socket.remoteAddress);
+}
+
+// This instance's connections in a room as [socketId, { user, presence, ip }].
+// Dropped connections waiting to resume keep their place in room.members but
+// are left out (see pendingLeaves).
+function localConnections(room) {
+  return Array.from(room.members)
+    .filter(([socketId]) => !pendingLeaves.has(socketId))
+    .map(([socketId, user]) => {
+      const s = io.sockets.sockets.get(socketId);
+      return [socketId, { user, presence: (s && s.data.presence) || 'online', ip: s ? clientIp(s) : null }];
+    });
 }
 
-function trimMessages(room) {
-  const limit = 100;
-  if (room.messages.length > limit) {
-    room.messages = room.messages.slice(-limit);
+// Every instance's connections in a room, in the same shape
+function roomConnections(room) {
+  return localConnections(room).concat(...room.remote.values());
+}
+
+// Any one connection of a person in the room, wherever it is
+function connectionOf(room, userId) {
+  const found = roomConnections(room).find(([, c]) => c.user.id === userId);
+  return found ? found[1] : null;
+}
+
+// Presence a client may pick; 'offline' is only ever derived
+const PRESENCE_STATES = ['online', 'away', 'dnd'];
+const LAST_SEEN_MAX = 100;
+
+function rememberSeen(room, person) {
+  room.lastSeen.delete(person.id);
+  room.lastSeen.set(person.id, person);
+  if (room.lastSeen.size > LAST_SEEN_MAX) room.lastSeen.delete(room.lastSeen.keys().next().value);
+}
+
+// One entry per person: do-not-disturb on any connection wins, then online, then away
+function roomPresence(room) {
+  const people = new Map();
+  for (const [, { user: m, presence: state }] of roomConnections(room)) {
+    const entry = people.get(m.id) || { id: m.id, name: m.name, color: m.color, connections: 0, states: new Set() };
+    entry.connections++;
+    entry.states.add(state);
+    people.set(m.id, entry);
   }
+  const present = Array.from(people.values()).map(({ states, ...p }) => ({
+    ...p,
+    presence: states.has('dnd') ? 'dnd' : states.has('online') ? 'online' : 'away',
+    lastSeen: null
+  }));
+  const gone = Array.from(room.lastSeen.values())
+    .filter(p => !people.has(p.id))
+    .map(({ dropped, ...p }) => ({ ...p, connections: 0, presence: 'offline' }))
+    .sort((a, b) => b.lastSeen - a.lastSeen);
+  return present.concat(gone);
+}
+
+// `@name` mentions of people in the room (present or recently seen), matching
+// the longest name so "@Ann Lee" wins over "@Ann"
+function resolveMentions(room, text) {
+  const people = roomPresence(room).sort((a, b) => b.name.length - a.name.length);
+  const found = new Map();
+  for (const match of String(text || '').matchAll(/(^|[^\w@])@/g)) {
+    const start = match.index + match[0].length;
+    const rest = text.slice(start).toLowerCase();
+    const person = people.find(p => rest.startsWith(p.name.toLowerCase()) && !/\w/.test(rest.charAt(p.name.length)));
+    if (person) found.set(person.id, { id: person.id, name: person.name });
+  }
+  return Array.from(found.values());
+}
+
+function isRoomMember(code, userId) {
+  const room = rooms[code];
+  return !!room && roomConnections(room).some(([, c]) => c.user.id === userId);
+}
+
+// Moderation minutes: 0 or missing means until lifted, capped at 30 days
+function cleanMinutes(input) {
+  const n = Math.floor(Number(input) || 0);
+  return Math.min(Math.max(n, 0), 30 * 24 * 60);
 }
 
+// Ban list for moderators, without the banned addresses
+// `canLift` tells the viewer which bans they may take back
+function publicBans(room, viewerId) {
+  return activeBans(room.settings).map(b => ({
+    userId: b.userId, name: b.name, until: b.until, byIp: !!b.ip, canLift: canLiftBan(room.settings, viewerId, b)
+  }));
+}
+
+function roomInfo(room) {
+  return { name: room.name, code: room.code, visibility: room.settings.visibility, topic: room.settings.topic || '' };
+}
+
+// Public rooms anyone can browse, busiest first; ?q= filters by name
+app.get('/api/rooms', (req, res) => {
+  const query = String(req.query.q || '').trim().toLowerCase();
+  const list = Object.values(rooms)
+    .filter(r => r.settings.visibility === 'public' && (!query || r.name.toLowerCase().includes(query)))
+    .map(r => ({
+      ...roomInfo(r),
+      members: roomPresence(r).filter(p => p.presence !== 'offline').length,
+      createdAt: r.createdAt
+    }))
+    .sort((a, b) => b.members - a.members || a.name.localeCompare(b.name))
+    .slice(0, DIRECTORY_MAX);
+  res.json({ rooms: list });
+});
+
+const commands = createCommandRegistry();
+registerBuiltinCommands(commands);
+
 const server = http.createServer(app);
+// How long a dropped connection keeps its rooms before it counts as having
+// left; meanwhile it shows as offline, and reconnects within it go unannounced
+const RESUME_GRACE_MS = 60 * 1000;
+// Dropped sockets waiting out the grace period: socket id -> timer
+const pendingLeaves = new Map();
+
+// How instances of this server reach each other (see pubsub.js and cluster.js);
+// a single instance keeps everything in process
+const bus = createPubSub({ kind: process.env.PUBSUB, url: process.env.REDIS_URL });
+if (bus.kind !== 'local' && store.kind === 'memory') {
+  console.warn(`PUBSUB=${bus.kind} with memory storage: each instance keeps its own rooms and messages`);
+}
+
 const io = new SocketIOServer(server, {
-  cors: { origin: '*', methods: ['GET','POST'] }
+  cors: { origin: '*', methods: ['GET','POST'] },
+  // Short drops are recovered in place: same socket id, rooms and missed events.
+  // Adapters shared between instances can't do this, so clients fall back to room:resume.
+  connectionStateRecovery: { maxDisconnectionDuration: RESUME_GRACE_MS, skipMiddlewares: true },
+  ...(bus.kind === 'local' ? {} : { adapter: createBusAdapter(bus) }),
+  // Long-polling needs every request of a session to reach one instance: cluster
+  // workers share a port without that, and other instances need sticky sessions
+  ...(bus.kind === 'cluster' || (bus.kind !== 'local' && !STICKY_SESSIONS) ? { transports: ['websocket'] } : {})
+});
+
+// Keep a tombstone so history still shows where the message was.
+// Callers run this inside serializeByRoom.
+async function tombstoneMessage(code, id, extra = {}, channels = [code]) {
+  const updated = await store.updateMessage(code, id, {
+    text: '', imageUrl: null, attachment: null, uploadId: null, reactions: {}, mentions: null, preview: null,
+    deleted: true, deletedAt: Date.now(), ...extra
+  });
+  if (updated) io.to(channels).emit('message:deleted', updated);
+  return updated;
+}
+
+// Strip a removed upload from its message, or tombstone the message if nothing is left
+function detachUpload(upload) {
+  const code = upload.roomCode;
+  return serializeByRoom(code, async () => {
+    const msg = await store.getMessage(code, upload.messageId);
+    if (!msg || msg.deleted || msg.uploadId !== upload.id) return;
+    if (!msg.text) return tombstoneMessage(code, msg.id);
+    const updated = await store.updateMessage(code, msg.id, { imageUrl: null, attachment: null, uploadId: null });
+    if (updated) io.to(code).emit('message:updated', updated);
+  });
+}
+
+const previewer = createPreviewer({ mode: String(process.env.LINK_PREVIEWS || 'off').toLowerCase() });
+
+// Fetched after the message went out; dropped if it was edited or deleted meanwhile
+async function attachPreview(code, id, text, channels = [code]) {
+  const preview = await previewer.previewFor(text);
+  if (!preview) return;
+  await serializeByRoom(code, async () => {
+    const current = await store.getMessage(code, id);
+    if (!current || current.deleted || current.text !== text) return;
+    const updated = await store.updateMessage(code, id, { preview });
+    if (updated) io.to(channels).emit('message:updated', updated);
+  });
+}
+
+// Every socket joins its person's channel, which is how DMs reach all their tabs
+function userChannel(userId) {
+  return `user:${userId}`;
+}
+
+// Sockets in a room's call, on any instance
+function callChannel(code) {
+  return `call:${code}`;
+}
+
+// Whether a call participant's microphone and camera are on, as peers show it
+function mediaState({ audio, video } = {}) {
+  return { audio: audio !== false, video: video !== false };
+}
+
+const ice = createIceServers({
+  stunUrls: process.env.STUN_URLS,
+  turnUrls: process.env.TURN_URLS,
+  turnUsername: process.env.TURN_USERNAME,
+  turnCredential: process.env.TURN_CREDENTIAL,
+  turnSecret: process.env.TURN_SECRET
+});
+
+// Who is in a room's call, one entry per person
+async function callState(room) {
+  const people = new Map();
+  for (const s of await io.in(callChannel(room.code)).fetchSockets()) {
+    const { id, name } = s.data.user;
+    if (!people.has(id)) people.set(id, { id, name, color: colorFor(id) });
+  }
+  return { code: room.code, startedAt: room.call ? room.call.startedAt : null, participants: Array.from(people.values()) };
+}
+
+// Starts the room's call session with its first participant and ends it with
+// the last, then tells the room who is in it. `local` only tells this
+// instance's sockets, for updates every instance makes at once.
+function updateCall(room, { name = null, local = false } = {}) {
+  return serializeByRoom(callChannel(room.code), async () => {
+    const call = await callState(room);
+    const to = (local ? io.local : io).to(room.code);
+    const now = Date.now();
+    if (call.participants.length && !room.call) {
+      room.call = { startedAt: now };
+      call.startedAt = now;
+      publishSync('call', { code: room.code, call: room.call });
+      to.emit('call:started', { code: room.code, name, ts: now });
+    } else if (!call.participants.length && room.call) {
+      to.emit('call:ended', { code: room.code, ts: now, duration: now - room.call.startedAt });
+      room.call = null;
+      call.startedAt = null;
+      publishSync('call', { code: room.code, call: null });
+    }
+    to.emit('call:state', call);
+  }).catch(e => console.error('Failed to update call:', e));
+}
+
+// One conversation per pair of people, whoever opens it first
+function dmId(a, b) {
+  return `dm:${[a, b].sort().join(':')}`;
+}
+
+// Where a message goes. Rooms broadcast to their code; DM conversations store
+// their messages under the conversation id and deliver to both people
+function roomTarget(room) {
+  return { code: room.code, room, conversation: null, channels: [room.code] };
+}
+
+function dmTarget(conversation) {
+  return { code: conversation.id, room: null, conversation, channels: conversation.members.map(m => userChannel(m.id)) };
+}
+
+// Sends that carried a client-generated id ("userId:clientId" -> { at, result }),
+// so a retry after a lost acknowledgement gets the first answer instead of
+// posting again. Failed sends are forgotten so they can be retried.
+const SENT_TTL = 24 * 60 * 60 * 1000;
+const SENT_MAX = 10000;
+const recentSends = new Map();
+
+function recentSend(key) {
+  const entry = recentSends.get(key);
+  if (entry && entry.at > Date.now() - SENT_TTL) return entry.result;
+  recentSends.delete(key);
+  return null;
+}
+
+function rememberSend(key, result) {
+  if (recentSends.size >= SENT_MAX) recentSends.delete(recentSends.keys().next().value);
+  recentSends.set(key, { at: Date.now(), result });
+}
+
+// Store a message and deliver it to its target. With `expiresIn` (minutes) the
+// message gets an expiresAt and is tombstoned by the scheduler at that time.
+async function publishMessage(target, msg, { expiresIn = null } = {}) {
+  const { code, room, conversation } = target;
+  if (expiresIn) msg.expiresAt = msg.ts + expiresIn * 60 * 1000;
+  const saved = await store.addMessage(code, msg);
+  if (conversation) {
+    // Keeps the sender's current name in the conversation for the other side's list
+    const members = conversation.members.map(m => (m.id === msg.userId ? { id: msg.userId, name: msg.author, color: msg.color } : m));
+    await store.updateConversation(conversation.id, { lastMessageAt: saved.ts, members });
+  }
+  if (saved.expiresAt) await scheduler.schedule('expire', saved.expiresAt, { code, id: saved.id, channels: target.channels });
+  // Room messages say which room they belong to; DMs carry their conversation
+  io.to(target.channels).emit('message:new', room ? { ...saved, code } : saved);
+  if (previewer.enabled && saved.text) {
+    attachPreview(code, saved.id, saved.text, target.channels)
+      .catch(e => console.error('Failed to attach preview:', e));
+  }
+  return saved;
+}
+
+// A scheduled message goes out if its sender may still post there; they don't
+// need to be connected
+async function sendScheduled({ code, conversation, sender, fields, replyTo, expiresIn }) {
+  try {
+    let target = null;
+    if (conversation) {
+      const found = await store.getConversation(code);
+      if (found && found.members.some(m => m.id === sender.id)) target = dmTarget(found);
+    } else {
+      const room = rooms[code];
+      if (room && !isBanned(room.settings, sender.id) && !isMuted(room.settings, sender.id)) target = roomTarget(room);
+    }
+    if (!target) return;
+    const msg = { author: sender.name, color: sender.color, userId: sender.id, imageUrl: null, ts: Date.now(), ...fields };
+    if (conversation) msg.conversation = code;
+    if (replyTo) msg.replyTo = replyTo;
+    const mentions = target.room ? resolveMentions(target.room, msg.text) : [];
+    if (mentions.length) msg.mentions = mentions;
+    await publishMessage(target, msg, { expiresIn });
+  } finally {
+    emitScheduled(sender.id);
+  }
+}
+
+function expireMessage({ code, id, channels }) {
+  return serializeByRoom(code, async () => {
+    const msg = await store.getMessage(code, id);
+    if (msg && !msg.deleted) await tombstoneMessage(code, id, { expired: true }, channels);
+  });
+}
+
+const scheduler = createScheduler({
+  store,
+  handlers: { send: sendScheduled, expire: expireMessage },
+  onChange: (change, job) => publishSync(`job-${change}`, job)
 });
 
+// A person's messages still waiting to be sent, for all of their connections
+function emitScheduled(userId) {
+  const scheduled = scheduler.list(j => j.kind === 'send' && j.data.sender.id === userId).map(j => ({
+    id: j.id,
+    sendAt: j.runAt,
+    code: j.data.code,
+    conversation: j.data.conversation,
+    roomName: rooms[j.data.code] ? rooms[j.data.code].name : null,
+    text: j.data.fields.text,
+    expiresIn: j.data.expiresIn
+  }));
+  io.to(userChannel(userId)).emit('schedule:list', { scheduled });
+}
+
+// ===== Multiple instances =====
+// Socket.IO emits already reach every instance through the adapter. These sync
+// messages keep the rest of the live state in step: rooms and their settings,
+// who is connected where, last-seen times, read cursors, recent sends and
+// scheduled jobs. Each instance only ever describes its own connections.
+const INSTANCE_ID = crypto.randomUUID();
+const SYNC_CHANNEL = 'chat:sync';
+const HEARTBEAT_MS = 5000;
+const INSTANCE_TIMEOUT_MS = 15000;
+const instances = new Map(); // instance id -> last heard from (ms)
+
+function publishSync(type, data = {}) {
+  if (bus.kind !== 'local') bus.publish(SYNC_CHANNEL, { from: INSTANCE_ID, type, data });
+}
+
+function publishRoom(room) {
+  publishSync('room', { name: room.name, code: room.code, createdAt: room.createdAt, settings: room.settings });
+}
+
+// Shares this instance's connections first so every instance lists the same
+// people; `local` only tells this instance's sockets, for updates every
+// instance sends at once
+function emitMembers(code, { local = false } = {}) {
+  const room = rooms[code];
+  if (!room) return;
+  if (!local) publishSync('members', { code, members: localConnections(room) });
+  const members = roomPresence(room).map(p => ({
+    ...p,
+    role: roleOf(room.settings, p.id),
+    muted: isMuted(room.settings, p.id)
+  }));
+  (local ? io.local : io).to(code).emit('room:members', { code, members });
+}
+
+// Removes this instance's sockets from a room: one person's, or with no
+// userId every socket the room's bans now cover
+function evictLocal(room, userId, reason) {
+  for (const [socketId, m] of Array.from(room.members)) {
+    const s = io.sockets.sockets.get(socketId);
+    if (!s) continue;
+    if (userId ? m.id === userId : isBanned(room.settings, m.id, clientIp(s))) s.data.removeFromRoom(room.code, reason);
+  }
+}
+
+function evict(room, userId, reason) {
+  evictLocal(room, userId, reason);
+  publishSync('evict', { code: room.code, userId, reason });
+}
+
+// An instance that went quiet takes its connections with it
+function dropInstance(id) {
+  instances.delete(id);
+  for (const room of Object.values(rooms)) {
+    if (room.remote.delete(id)) emitMembers(room.code, { local: true });
+    if (room.call) updateCall(room, { local: true });
+  }
+}
+
+const syncHandlers = {
+  // A new instance asks who is connected here and which calls are going on
+  hello: () => {
+    for (const room of Object.values(rooms)) {
+      if (room.members.size) publishSync('members', { code: room.code, members: localConnections(room) });
+      if (room.call) publishSync('call', { code: room.code, call: room.call });
+    }
+  },
+  alive: () => {},
+  room: (data) => {
+    if (rooms[data.code]) rooms[data.code].settings = normalizeSettings(data.settings);
+    else rooms[data.code] = roomEntry(data);
+  },
+  members: ({ code, members }, from) => {
+    const room = rooms[code];
+    if (!room) return;
+    if (members.length) room.remote.set(from, members);
+    else room.remote.delete(from);
+  },
+  call: ({ code, call }) => {
+    if (rooms[code]) rooms[code].call = call;
+  },
+  seen: ({ code, person }) => {
+    if (rooms[code]) rememberSeen(rooms[code], person);
+  },
+  evict: ({ code, userId, reason }) => {
+    if (rooms[code]) evictLocal(rooms[code], userId, reason);
+  },
+  read: ({ code, userId, id }) => {
+    const room = rooms[code];
+    if (!room || !room.reads) return;
+    room.reads.then((reads) => {
+      if ((reads[userId] || 0) < id) reads[userId] = id;
+    }, () => {});
+  },
+  sent: ({ key, result }) => rememberSend(key, result),
+  'job-added': (job) => scheduler.track(job),
+  'job-removed': (job) => scheduler.forget(job.id)
+};
+
+if (bus.kind !== 'local') {
+  bus.subscribe(SYNC_CHANNEL, ({ from, type, data }) => {
+    if (from === INSTANCE_ID || !syncHandlers[type]) return;
+    // Someone we dropped (or never heard) may be missing what we know about them
+    if (!instances.has(from) && type !== 'hello') publishSync('hello');
+    instances.set(from, Date.now());
+    syncHandlers[type](data, from);
+  });
+  setInterval(() => {
+    publishSync('alive');
+    for (const [id, heard] of instances) {
+      if (heard < Date.now() - INSTANCE_TIMEOUT_MS) dropInstance(id);
+    }
+  }, HEARTBEAT_MS).unref();
+  publishSync('hello');
+}
+
+// Flood protection: per-IP connection budget, then per-socket/per-IP event budgets
+io.use((socket, next) => {
+  if (limiter.allowConnection(clientIp(socket))) return next();
+  next(new Error('rate_limited'));
+});
+
+// Every socket must present a session token from /api/auth/*
+io.use(auth.socketMiddleware);
+
 io.on('connection', (socket) => {
-  let joinedCode = null;
-  let user = { name: 'Guest', color: `hsl(${Math.floor(Math.random()*360)} 70% 50%)` };
+  // Codes of the rooms this socket is in; room events name theirs with `code`
+  const joined = new Set();
+  let callCode = null; // the joined room whose call this socket takes part in
+  const identity = socket.data.user;
+  const user = { id: identity.id, name: identity.name, color: colorFor(identity.id) };
+  const ip = clientIp(socket);
+  socket.join(userChannel(user.id));
+
+  // Over-limit clients are told why and dropped; quiet events are just ignored
+  const allowEvent = limiter.forSocket(ip);
+  socket.use(([event], next) => {
+    if (allowEvent(event)) return next();
+    if (limiter.isQuiet(event)) return;
+    socket.emit('rate:limited', { event, message: 'Too many requests, please slow down' });
+    socket.disconnect(true);
+  });
+
+  // The joined room an event is about. Older clients leave out `code`, which
+  // works as long as the socket is in a single room.
+  function joinedRoom(code) {
+    if (code == null) return joined.size === 1 ? rooms[joined.values().next().value] || null : null;
+    const key = String(code).toUpperCase();
+    return joined.has(key) ? rooms[key] || null : null;
+  }
+
+  // Access problems are the client's to show; anything else is logged and
+  // reported without detail, never thrown out of an async listener
+  function roomError(e) {
+    if (e instanceof RoomAccessError) {
+      socket.emit('room:error', { message: e.message, reason: e.reason });
+      return;
+    }
+    console.error('Room request failed:', e);
+    socket.emit('room:error', { message: 'Something went wrong, please try again', reason: 'server_error' });
+  }
+
+  // What the client should present to get its rooms back after a reconnect
+  // that Socket.IO could not recover (see room:resume)
+  function issueResume() {
+    socket.data.joined = Array.from(joined);
+    socket.emit('session:resume', { token: auth.resumeToken(user.id, socket.data.joined) });
+  }
 
-  function emitMembers(code) {
+  // `silent` skips system:leave when a moderation event already explains the exit
+  // `timedOut` when a dropped connection's grace period ran out
+  function leaveRoom(code, { silent = false, timedOut = false } = {}) {
+    if (!joined.has(code)) return;
+    joined.delete(code);
+    issueResume();
+    if (callCode === code) leaveCall();
     const room = rooms[code];
     if (!room) return;
-    const members = Array.from(room.members.values()).map(m => ({ name: m.name, color: m.color }));
-    io.to(code).emit('room:members', { members });
+    room.members.delete(socket.id);
+    socket.leave(code);
+    // Other tabs of the same person keep them in the room
+    if (!isRoomMember(code, user.id) && !(timedOut && leaveSettled(room))) {
+      markSeen(room);
+      if (!silent) io.to(code).emit('system:leave', { code, name: user.name, ts: Date.now() });
+    }
+    emitMembers(code);
+  }
+
+  // This person's last connection to the room is gone; `dropped` when it may
+  // still resume, so no leave was announced
+  function markSeen(room, { dropped = false } = {}) {
+    const person = { id: user.id, name: user.name, color: user.color, lastSeen: Date.now() };
+    if (dropped) person.dropped = true;
+    rememberSeen(room, person);
+    publishSync('seen', { code: room.code, person });
   }
 
-  socket.on('room:join', ({ codeOrName, name }) => {
-    const room = getOrCreateRoomByCodeOrName(codeOrName);
-    joinedCode = room.code;
-    user = { name: String(name || 'Guest').slice(0, 40), color: `hsl(${Math.floor(Math.random()*360)} 70% 50%)` };
+  function leaveAllRooms(options) {
+    for (const code of Array.from(joined)) leaveRoom(code, options);
+  }
 
+  // Whether a timed-out drop has nothing to announce: the person left from
+  // another connection since, or another dropped one may still come back
+  function leaveSettled(room) {
+    if (!room.lastSeen.get(user.id)?.dropped) return true;
+    return Array.from(room.members).some(([id, m]) => m.id === user.id && pendingLeaves.has(id));
+  }
+
+  // Lets moderators in other connections remove this socket from a room
+  socket.data.removeFromRoom = (code, reason) => {
+    if (!joined.has(code)) return;
+    leaveRoom(code, { silent: true });
+    socket.emit('room:removed', { code, reason });
+  };
+
+  // `since` (a message id) resumes a room after a reconnect (see room:resume):
+  // the client gets room:resumed with only the newer messages, or with the
+  // latest page and `reset` when it missed more than a page
+  async function enterRoom(room, { since = null } = {}) {
+    if (!joined.has(room.code) && joined.size >= MAX_JOINED_ROOMS) {
+      socket.emit('room:error', { message: `You can be in at most ${MAX_JOINED_ROOMS} rooms at once`, reason: 'too_many_rooms' });
+      return;
+    }
+    joined.add(room.code);
+
+    const alreadyHere = isRoomMember(room.code, user.id);
+    const seen = room.lastSeen.get(user.id);
+    // Someone only shows up again if their leave was announced; a dropped
+    // connection that hasn't timed out yet never was
+    const announce = !alreadyHere && !seen?.dropped && (since == null || !!seen);
     socket.join(room.code);
     room.members.set(socket.id, user);
 
-    // Send initial state to joiner
-    socket.emit('room:joined', {
-      name: room.name,
-      code: room.code,
-      messages: room.messages
-    });
+    let history = { messages: [], hasMore: false };
+    let missed = null;
+    let reads = {};
+    let unread = 0;
+    try {
+      if (since != null) {
+        const rows = await store.getMessages(room.code, { after: since, limit: HISTORY_PAGE + 1 });
+        if (rows.length <= HISTORY_PAGE) missed = rows;
+      }
+      if (!missed) history = await loadHistoryPage(room.code, null, HISTORY_PAGE);
+      reads = await readCursors(room);
+      if (user.id in reads) unread = await store.countUnread(room.code, reads[user.id], user.id);
+    } catch (e) {
+      console.error('Failed to load history:', e);
+    }
+    const call = await callState(room).catch(() => null);
+    // On a first visit nothing counts as unread
+    const shown = missed || history.messages;
+    const latestId = shown.length ? shown[shown.length - 1].id : since || 0;
+    const lastReadId = user.id in reads ? reads[user.id] : latestId;
+
+    const payload = {
+      ...roomInfo(room),
+      role: roleOf(room.settings, user.id),
+      messages: shown,
+      hasMore: history.hasMore,
+      reads: { ...reads },
+      lastReadId,
+      unread,
+      call,
+      commands: commands.describe()
+    };
+    if (since != null) socket.emit('room:resumed', { ...payload, reset: !missed });
+    else socket.emit('room:joined', payload);
+    issueResume();
 
     emitMembers(room.code);
-    socket.to(room.code).emit('system:join', { name: user.name, ts: Date.now() });
+    if (announce) socket.to(room.code).emit('system:join', { code: room.code, name: user.name, ts: Date.now() });
+  }
+
+  // Join an existing room; private rooms need a password or invite token
+  socket.on('room:join', async ({ codeOrName, password, invite } = {}) => {
+    const room = findRoom(codeOrName);
+    if (!room) {
+      socket.emit('room:error', { message: 'No room with that name or code', reason: 'not_found' });
+      return;
+    }
+    try {
+      if (await admit(room.settings, user.id, { password, invite, ip })) persistRoom(room);
+    } catch (e) {
+      return roomError(e);
+    }
+    await enterRoom(room);
+  });
+
+  // Create a room owned by this user; an existing public room with the same name is joined instead
+  socket.on('room:create', async ({ name, visibility, password } = {}) => {
+    const cleanName = String(name || '').trim().slice(0, 60) || `room-${generateCode().toLowerCase()}`;
+    const joinExisting = async (existing) => {
+      try {
+        if (await admit(existing.settings, user.id, { password, ip })) persistRoom(existing);
+      } catch (e) {
+        return roomError(e);
+      }
+      return enterRoom(existing);
+    };
+    const existing = findRoomByName(cleanName);
+    if (existing) return joinExisting(existing);
+    let settings;
+    try {
+      settings = await buildSettings({ visibility, password, ownerId: user.id });
+    } catch (e) {
+      return roomError(e);
+    }
+    // Someone may have taken the name while the password was hashed
+    const taken = findRoomByName(cleanName);
+    if (taken) return joinExisting(taken);
+    await enterRoom(createRoom(cleanName, settings));
   });
 
-  socket.on('room:leave', () => {
-    if (!joinedCode) return;
-    const room = rooms[joinedCode];
+  // After a reconnect Socket.IO could not recover (a long drop, or a server
+  // restart) the client presents its resume token and the last message id it
+  // has per room, and is put back in those rooms
+  socket.on('room:resume', async ({ token, lastIds } = {}) => {
+    const codes = auth.verifyResume(token, user.id);
+    if (!codes) {
+      socket.emit('room:resume-failed', { reason: 'invalid_token' });
+      return;
+    }
+    for (const code of codes) {
+      const room = rooms[code];
+      if (!room) {
+        socket.emit('room:removed', { code, reason: 'The room no longer exists' });
+        continue;
+      }
+      try {
+        if (await admit(room.settings, user.id, { ip })) persistRoom(room);
+      } catch (e) {
+        if (e instanceof RoomAccessError) socket.emit('room:removed', { code, reason: e.message });
+        else roomError(e);
+        continue;
+      }
+      const since = Number(lastIds && lastIds[code]);
+      await enterRoom(room, { since: Number.isInteger(since) && since > 0 ? since : 0 });
+    }
+  });
+
+  // Without a code this leaves every room
+  socket.on('room:leave', ({ code } = {}) => {
+    if (code == null) return leaveAllRooms();
+    const room = joinedRoom(code);
+    if (room) leaveRoom(room.code);
+  });
+
+  // Owner-only: change visibility (and password for protected rooms)
+  socket.on('room:settings', async ({ code, visibility, password } = {}) => {
+    const room = joinedRoom(code);
     if (!room) return;
-    room.members.delete(socket.id);
-    socket.leave(joinedCode);
-    io.to(joinedCode).emit('system:leave', { name: user.name, ts: Date.now() });
-    emitMembers(joinedCode);
-    joinedCode = null;
+    if (roleOf(room.settings, user.id) !== 'owner') {
+      socket.emit('chat:error', { message: 'Only the room owner can change settings' });
+      return;
+    }
+    try {
+      await changeVisibility(room.settings, visibility, password);
+    } catch (e) {
+      return socket.emit('chat:error', { message: e.message });
+    }
+    persistRoom(room);
+    io.to(room.code).emit('room:updated', roomInfo(room));
+  });
+
+  // Owner-only: promote members to moderator or demote them again
+  socket.on('room:role', ({ code, userId, role } = {}) => {
+    const room = joinedRoom(code);
+    if (!room) return;
+    if (roleOf(room.settings, user.id) !== 'owner') {
+      socket.emit('chat:error', { message: 'Only the room owner can change roles' });
+      return;
+    }
+    if (!ROLES.includes(role) || role === 'owner' || !userId || userId === room.settings.ownerId) return;
+    if (role === 'member') delete room.settings.roles[userId]; else room.settings.roles[userId] = role;
+    persistRoom(room);
+    emitMembers(room.code);
   });
 
-  socket.on('message:typing', (state) => {
-    if (!joinedCode) return;
-    socket.to(joinedCode).emit('message:typing', { name: user.name, state: !!state });
+  // Owners and moderators can mint invite tokens for invite-only rooms
+  socket.on('room:invite', ({ code } = {}) => {
+    const room = joinedRoom(code);
+    if (!room) return;
+    if (!isStaff(room.settings, user.id)) {
+      socket.emit('chat:error', { message: 'Only owners and moderators can create invites' });
+      return;
+    }
+    const invite = createInvite(room.settings);
+    persistRoom(room);
+    socket.emit('room:invite', { code: room.code, invite });
+  });
+
+  // Older history, oldest-first, strictly before the given message id
+  socket.on('message:history', async ({ code: requested, before, limit, conversation } = {}) => {
+    let code;
+    if (conversation != null) {
+      const target = await dmTargetFor(conversation).catch(() => null);
+      code = target && target.code;
+    } else {
+      const room = joinedRoom(requested);
+      code = room && room.code;
+    }
+    if (!code) return;
+    const cursor = Number.isInteger(before) ? before : null;
+    const size = Math.min(Math.max(Number(limit) || HISTORY_PAGE, 1), HISTORY_PAGE_MAX);
+    try {
+      const page = await loadHistoryPage(code, cursor, size);
+      socket.emit('message:history', { code, before: cursor, ...page });
+    } catch (e) {
+      console.error('Failed to load history:', e);
+    }
   });
 
-  socket.on('message:send', ({ text, imageUrl }) => {
-    if (!joinedCode) return;
-    const room = rooms[joinedCode];
+  // Search a joined room, newest first. Results carry a snippet with highlight
+  // ranges rather than the whole message; `requestId` lets clients drop stale answers.
+  socket.on('message:search', async ({ code: requested, requestId, query, author, from, to, hasImage: withImage, before } = {}) => {
+    const room = joinedRoom(requested);
     if (!room) return;
+    const code = room.code;
+    const filters = parseSearch({ query, author, from, to, hasImage: withImage });
+    const cursor = Number.isInteger(before) ? before : null;
+    const reply = (results, hasMore) => socket.emit('message:search', { code, requestId, before: cursor, results, hasMore });
+    const anyFilter = filters.terms.length || filters.author || filters.from != null || filters.to != null || filters.hasImage;
+    if (!anyFilter) return reply([], false);
+    try {
+      const rows = await store.searchMessages(code, filters, { before: cursor, limit: SEARCH_PAGE + 1 });
+      const results = rows.slice(0, SEARCH_PAGE).map(m => ({
+        id: m.id,
+        author: m.author,
+        color: m.color,
+        ts: m.ts,
+        hasImage: hasImage(m),
+        ...snippet(m.text, filters.terms)
+      }));
+      reply(results, rows.length > SEARCH_PAGE);
+    } catch (e) {
+      console.error('Search failed:', e);
+      socket.emit('chat:error', { message: 'Search failed' });
+    }
+  });
+
+  // A message together with every reply to it
+  socket.on('message:thread', async ({ code: requested, id } = {}) => {
+    const room = joinedRoom(requested);
+    if (!room || !Number.isInteger(id)) return;
+    const code = room.code;
+    try {
+      const parent = await store.getMessage(code, id);
+      if (!parent) return;
+      const replies = await store.getReplies(code, id);
+      socket.emit('message:thread', { code, id, parent, replies });
+    } catch (e) {
+      console.error('Failed to load thread:', e);
+    }
+  });
+
+  // The client reports the newest message it has on screen; cursors only move forward
+  socket.on('message:read', async ({ code: requested, id, conversation } = {}) => {
+    if (conversation != null) return readConversation(conversation, id);
+    const room = joinedRoom(requested);
+    if (!room || !Number.isInteger(id)) return;
+    const code = room.code;
+    try {
+      if (!(await store.getMessage(code, id))) return;
+      const reads = await readCursors(room);
+      if ((reads[user.id] || 0) >= id) return;
+      reads[user.id] = id;
+      await store.setReadCursor(code, user.id, id);
+      publishSync('read', { code, userId: user.id, id });
+      io.to(code).emit('message:read', { code, userId: user.id, lastReadId: id });
+    } catch (e) {
+      console.error('Failed to save read cursor:', e);
+    }
+  });
+
+  function mutedIn(code) {
+    const room = rooms[code];
+    return !!room && isMuted(room.settings, user.id);
+  }
+
+  // Clients report idle (away) and do-not-disturb per connection; the room sees one state per person
+  socket.on('presence:set', ({ state } = {}) => {
+    if (!PRESENCE_STATES.includes(state) || socket.data.presence === state) return;
+    socket.data.presence = state;
+    joined.forEach(emitMembers);
+  });
+
+  // { state, code } for a room or { state, conversation } for a DM; older
+  // clients send a bare boolean for their only room
+  socket.on('message:typing', async (payload) => {
+    const typing = payload && typeof payload === 'object' ? payload : { state: payload };
+    if (typing.conversation != null) {
+      const target = await dmTargetFor(typing.conversation).catch(() => null);
+      if (!target) return;
+      const others = target.conversation.members.filter(m => m.id !== user.id).map(m => userChannel(m.id));
+      socket.to(others).emit('message:typing', { name: user.name, state: !!typing.state, conversation: target.code });
+      return;
+    }
+    const room = joinedRoom(typing.code);
+    if (!room || mutedIn(room.code)) return;
+    socket.to(room.code).emit('message:typing', { code: room.code, name: user.name, state: !!typing.state });
+  });
+
+  // Clients that pass an acknowledgement get { id } for a posted message,
+  // { scheduled } for a queued one, { command: true } or { error }. A `clientId`
+  // makes the send safe to retry and comes back in the acknowledgement, so the
+  // sender can match it to its pending copy; it is not stored or broadcast.
+  socket.on('message:send', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const clientId = typeof payload?.clientId === 'string' ? payload.clientId.slice(0, 64) : '';
+    if (!clientId) {
+      respond(await sendMessage(payload || {}));
+      return;
+    }
+    const key = `${user.id}:${clientId}`;
+    const earlier = recentSend(key);
+    if (earlier) {
+      respond({ ...(await earlier), clientId, duplicate: true });
+      return;
+    }
+    const result = sendMessage(payload || {});
+    rememberSend(key, result);
+    const outcome = await result;
+    if (outcome.error) recentSends.delete(key);
+    else publishSync('sent', { key, result: outcome });
+    respond({ ...outcome, clientId });
+  });
+
+  // Problems go back as chat:error for clients without acknowledgements
+  function sendError(message) {
+    socket.emit('chat:error', { message });
+    return { error: message };
+  }
+
+  async function sendMessage({ code, text, uploadId, replyTo, conversation, sendAt, expiresIn }) {
     const cleanText = String(text || '').slice(0, 2000);
-    const msg = { author: user.name, color: user.color, text: cleanText, imageUrl: imageUrl || null, ts: Date.now() };
-    room.messages.push(msg);
-    trimMessages(room);
-    io.to(joinedCode).emit('message:new', msg);
+    const timing = parseTiming({ sendAt, expiresIn });
+    if (timing.error) return sendError(timing.error);
+    if (conversation != null) {
+      const target = await dmTargetFor(conversation).catch(() => null);
+      if (!target) return sendError('That conversation is not available');
+      if (commands.parse(cleanText)) {
+        commandReply('Commands only work in rooms');
+        return { error: 'Commands only work in rooms' };
+      }
+      return postMessage(target, { text: cleanText.replace(/^\/\//, '/') }, { uploadId, replyTo, ...timing });
+    }
+    const room = joinedRoom(code);
+    if (!room) return { error: 'You are not in that room' };
+    const command = uploadId == null && commands.parse(cleanText);
+    if (command) {
+      if (timing.sendAt) {
+        commandReply('Commands cannot be scheduled');
+        return { error: 'Commands cannot be scheduled' };
+      }
+      await runCommand(room, command, { replyTo });
+      return { command: true };
+    }
+    // A doubled slash sends text that starts with one
+    return postMessage(roomTarget(room), { text: cleanText.replace(/^\/\//, '/') }, { uploadId, replyTo, ...timing });
+  }
+
+  // `target` is a room or DM conversation (see roomTarget); `fields` is the text
+  // plus any extras (like `action` for /me). With `sendAt` the message is queued
+  // instead (see sendScheduled). Resolves to the acknowledgement for message:send.
+  async function postMessage(target, fields, { uploadId, replyTo, sendAt = null, expiresIn = null } = {}) {
+    const { code, room, conversation } = target;
+    if (room && mutedIn(code)) return sendError('You are muted in this room');
+    if (conversation && uploadId != null) return sendError('Attachments can only be shared in rooms');
+    if (sendAt && uploadId != null) return sendError('Attachments cannot be scheduled');
+    const msg = { author: user.name, color: user.color, userId: user.id, imageUrl: null, ts: Date.now(), ...fields };
+    if (conversation) msg.conversation = conversation.id;
+    if (uploadId != null && (!Number.isInteger(uploadId) || attachingUploads.has(uploadId))) {
+      return sendError('That upload cannot be attached here');
+    }
+    if (uploadId != null) attachingUploads.add(uploadId);
+    try {
+      let attached = null;
+      if (uploadId != null) {
+        // Only this user's unused uploads for this room can be attached
+        attached = await store.getUpload(uploadId);
+        if (!attached || attached.uploaderId !== user.id || attached.roomCode !== code || attached.messageId) {
+          return sendError('That upload cannot be attached here');
+        }
+        const kind = (attached.mimetype || '').split('/')[0];
+        msg.attachment = {
+          url: attached.url,
+          name: attached.originalName,
+          size: attached.size,
+          mimetype: attached.mimetype,
+          kind: ['image', 'video', 'audio'].includes(kind) ? kind : 'file'
+        };
+        if (attached.width && attached.height) {
+          msg.attachment.width = attached.width;
+          msg.attachment.height = attached.height;
+        }
+        if (attached.thumbFilename) msg.attachment.thumbUrl = `/uploads/${attached.thumbFilename}`;
+        // Older clients only know imageUrl
+        if (msg.attachment.kind === 'image') msg.imageUrl = attached.url;
+        msg.uploadId = attached.id;
+      }
+      if (!msg.text && !msg.attachment) return { error: 'Empty message' };
+      if (replyTo != null) {
+        // Replies must point at a live message in the same room
+        const parent = Number.isInteger(replyTo) ? await store.getMessage(code, replyTo) : null;
+        if (!parent || parent.deleted) return sendError('The message you replied to is no longer available');
+        msg.replyTo = replySnapshot(parent);
+      }
+      if (sendAt) {
+        const job = await scheduler.schedule('send', sendAt, {
+          code, conversation: !!conversation, sender: { ...user }, fields, replyTo: msg.replyTo || null, expiresIn
+        });
+        emitScheduled(user.id);
+        return { scheduled: job.id };
+      }
+      const mentions = room ? resolveMentions(room, msg.text) : [];
+      if (mentions.length) msg.mentions = mentions;
+      const saved = await publishMessage(target, msg, { expiresIn });
+      if (attached) await store.updateUpload(attached.id, { messageId: saved.id });
+      return { id: saved.id };
+    } catch (e) {
+      console.error('Failed to store message:', e);
+      return { error: 'Your message could not be sent' };
+    } finally {
+      // Recorded on the upload by now, or not attached at all
+      if (uploadId != null) attachingUploads.delete(uploadId);
+    }
+  }
+
+  // Direct messages: a conversation this user takes part in, or null
+  async function dmTargetFor(id) {
+    const conversation = await store.getConversation(String(id || ''));
+    if (!conversation || !conversation.members.some(m => m.id === user.id)) return null;
+    return dmTarget(conversation);
+  }
+
+  async function conversationSummary(conversation) {
+    const peer = conversation.members.find(m => m.id !== user.id) || conversation.members[0];
+    const reads = await store.getReadCursors(conversation.id);
+    const lastReadId = reads[user.id] || 0;
+    return {
+      id: conversation.id,
+      peer,
+      lastMessageAt: conversation.lastMessageAt,
+      lastReadId,
+      peerReadId: reads[peer.id] || 0,
+      unread: await store.countUnread(conversation.id, lastReadId, user.id)
+    };
+  }
+
+  socket.on('schedule:list', () => emitScheduled(user.id));
+
+  // Only the sender can take back a message that hasn't gone out yet
+  socket.on('schedule:cancel', async ({ id } = {}) => {
+    const [job] = scheduler.list(j => j.id === id && j.kind === 'send' && j.data.sender.id === user.id);
+    if (!job) return;
+    try {
+      await scheduler.cancel(job.id);
+    } catch (e) {
+      console.error('Failed to cancel scheduled message:', e);
+    }
+    emitScheduled(user.id);
+  });
+
+  socket.on('dm:list', async () => {
+    try {
+      const list = await store.listConversations(user.id);
+      socket.emit('dm:list', { conversations: await Promise.all(list.map(conversationSummary)) });
+    } catch (e) {
+      console.error('Failed to list conversations:', e);
+    }
   });
 
-  // WebRTC signaling for mesh
-  socket.on('webrtc:join', () => {
-    if (!joinedCode) return;
-    // Tell others that a new peer is here
-    socket.to(joinedCode).emit('webrtc:peer-join', { id: socket.id, name: user.name });
-    // Provide existing peers list to the joiner
-    const room = rooms[joinedCode];
-    const peers = Array.from(io.sockets.adapter.rooms.get(joinedCode) || [])
-      .filter(id => id !== socket.id);
-    socket.emit('webrtc:peers', { peers });
+  // Opens (or starts) a conversation with someone. New ones can only be started
+  // with a person who is in one of this socket's rooms right now.
+  socket.on('dm:open', async ({ userId } = {}) => {
+    if (typeof userId !== 'string' || !userId || userId === user.id) return;
+    const id = dmId(user.id, userId);
+    try {
+      let conversation = await store.getConversation(id);
+      if (!conversation) {
+        const peer = Array.from(joined)
+          .flatMap(code => (rooms[code] ? roomPresence(rooms[code]) : []))
+          .find(p => p.id === userId && p.presence !== 'offline');
+        if (!peer) {
+          socket.emit('chat:error', { message: 'You can only message people who are in one of your rooms' });
+          return;
+        }
+        await store.createConversation({
+          id,
+          members: [{ id: user.id, name: user.name, color: user.color }, { id: peer.id, name: peer.name, color: peer.color }],
+          createdAt: Date.now()
+        });
+        conversation = await store.getConversation(id);
+      }
+      const page = await loadHistoryPage(id, null, HISTORY_PAGE);
+      socket.emit('dm:opened', { conversation: await conversationSummary(conversation), ...page });
+    } catch (e) {
+      console.error('Failed to open conversation:', e);
+    }
   });
 
-  socket.on('webrtc:signal', ({ targetId, data }) => {
-    io.to(targetId).emit('webrtc:signal', { fromId: socket.id, data });
+  async function readConversation(conversationId, id) {
+    if (!Number.isInteger(id)) return;
+    try {
+      const target = await dmTargetFor(conversationId);
+      if (!target || !(await store.getMessage(target.code, id))) return;
+      const reads = await store.getReadCursors(target.code);
+      if ((reads[user.id] || 0) >= id) return;
+      await store.setReadCursor(target.code, user.id, id);
+      io.to(target.channels).emit('message:read', { conversation: target.code, userId: user.id, lastReadId: id });
+    } catch (e) {
+      console.error('Failed to save read cursor:', e);
+    }
+  }
+
+  // Command output that only the sender sees
+  function commandReply(text) {
+    socket.emit('command:response', { text, ts: Date.now() });
+  }
+
+  // What a slash command may do, on behalf of this connection (see commands.js)
+  function commandContext(room, { replyTo }) {
+    return {
+      user,
+      room,
+      role: roleOf(room.settings, user.id),
+      reply: commandReply,
+      send: (fields) => postMessage(roomTarget(room), fields, { replyTo }),
+      findMember: (name) => roomPresence(room)
+        .filter(p => p.presence !== 'offline' && p.name.toLowerCase() === name.toLowerCase()),
+      kick: (userId) => {
+        if (userId === user.id || !canModerate(room.settings, user.id, userId)) {
+          commandReply('You cannot kick that member');
+          return;
+        }
+        kickUser(room, userId);
+      },
+      invite: () => {
+        const invite = createInvite(room.settings);
+        persistRoom(room);
+        socket.emit('room:invite', { code: room.code, invite });
+        commandReply('Created an invite link; it is valid for 7 days');
+      },
+      setTopic: (topic) => {
+        room.settings.topic = topic;
+        persistRoom(room);
+        io.to(room.code).emit('room:updated', roomInfo(room));
+        io.to(room.code).emit('system:notice', {
+          code: room.code,
+          text: topic ? `${user.name} set the topic: ${topic}` : `${user.name} cleared the topic`,
+          ts: Date.now()
+        });
+      },
+      rename: (name) => {
+        const previous = user.name;
+        user.name = name;
+        socket.data.user = { ...socket.data.user, name };
+        // The new name goes into a fresh token so it survives reconnects
+        socket.emit('session:updated', auth.rename(socket.data.user, name));
+        // Every room this connection is in sees the new name
+        for (const code of joined) {
+          io.to(code).emit('system:notice', { code, text: `${previous} is now known as ${name}`, ts: Date.now() });
+          emitMembers(code);
+        }
+      }
+    };
+  }
+
+  async function runCommand(room, command, options) {
+    try {
+      await commands.execute(commandContext(room, options), command);
+    } catch (e) {
+      console.error(`Command /${command.name} failed:`, e);
+      commandReply(`/${command.name} failed`);
+    }
+  }
+
+  // Look up a message in a joined room that this user sent and may still change
+  async function ownMessage(code, id) {
+    if (!Number.isInteger(id)) return null;
+    const msg = await store.getMessage(code, id);
+    if (!msg || msg.deleted) return null;
+    if (msg.userId !== user.id) {
+      socket.emit('chat:error', { message: 'You can only change your own messages' });
+      return null;
+    }
+    return msg;
+  }
+
+  socket.on('message:edit', async ({ code: requested, id, text } = {}) => {
+    const room = joinedRoom(requested);
+    if (!room) return;
+    const code = room.code;
+    const cleanText = String(text || '').trim().slice(0, 2000);
+    try {
+      const updated = await serializeByRoom(code, async () => {
+        const msg = await ownMessage(code, id);
+        if (!msg || !cleanText || cleanText === msg.text) return null;
+        const mentions = resolveMentions(room, cleanText);
+        const saved = await store.updateMessage(code, id, {
+          text: cleanText, editedAt: Date.now(), mentions: mentions.length ? mentions : null, preview: null
+        });
+        if (saved) io.to(code).emit('message:updated', saved);
+        return saved;
+      });
+      if (updated && previewer.enabled) {
+        attachPreview(code, id, cleanText).catch(e => console.error('Failed to attach preview:', e));
+      }
+    } catch (e) {
+      console.error('Failed to edit message:', e);
+    }
   });
 
-  socket.on('webrtc:leave', () => {
-    if (!joinedCode) return;
-    socket.to(joinedCode).emit('webrtc:peer-leave', { id: socket.id });
+  socket.on('message:delete', async ({ code: requested, id } = {}) => {
+    const room = joinedRoom(requested);
+    if (!room) return;
+    const code = room.code;
+    try {
+      await serializeByRoom(code, async () => {
+        const msg = await ownMessage(code, id);
+        if (msg) await tombstoneMessage(code, id);
+      });
+    } catch (e) {
+      console.error('Failed to delete message:', e);
+    }
   });
 
-  socket.on('disconnect', () => {
-    if (joinedCode) {
-      const room = rooms[joinedCode];
-      if (room) {
-        room.members.delete(socket.id);
-        socket.to(joinedCode).emit('system:leave', { name: user.name, ts: Date.now() });
-        socket.to(joinedCode).emit('webrtc:peer-leave', { id: socket.id });
-        emitMembers(joinedCode);
+  // Reactions live on the message as { [emoji]: [{ id, name }] }
+  async function changeReaction(requested, id, rawEmoji, add) {
+    const room = joinedRoom(requested);
+    const emoji = cleanEmoji(rawEmoji);
+    if (!room || !emoji || !Number.isInteger(id)) return;
+    const code = room.code;
+    try {
+      await serializeByRoom(code, async () => {
+        const msg = await store.getMessage(code, id);
+        if (!msg || msg.deleted) return;
+        const reactions = { ...(msg.reactions || {}) };
+        const reactors = (reactions[emoji] || []).filter(r => r.id !== user.id);
+        if (add) {
+          if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTION_KINDS) return;
+          reactors.push({ id: user.id, name: user.name });
+        }
+        if (reactors.length) reactions[emoji] = reactors; else delete reactions[emoji];
+        await store.updateMessage(code, id, { reactions });
+        io.to(code).emit('message:reactions', { id, reactions });
+      });
+    } catch (e) {
+      console.error('Failed to update reactions:', e);
+    }
+  }
+
+  socket.on('message:react', ({ code, id, emoji } = {}) => changeReaction(code, id, emoji, true));
+  socket.on('message:unreact', ({ code, id, emoji } = {}) => changeReaction(code, id, emoji, false));
+
+  // ===== Moderation (owners and moderators) =====
+
+  // The joined room when this user may act on targetId there, otherwise null (with an error sent)
+  function moderatedRoom(code, targetId) {
+    const room = joinedRoom(code);
+    if (!room) return null;
+    if (!isStaff(room.settings, user.id)) {
+      socket.emit('chat:error', { message: 'Only owners and moderators can do that' });
+      return null;
+    }
+    if (targetId !== undefined && (!targetId || targetId === user.id || !canModerate(room.settings, user.id, targetId))) {
+      socket.emit('chat:error', { message: 'You cannot moderate that member' });
+      return null;
+    }
+    return room;
+  }
+
+  function announce(room, action, target, extra = {}) {
+    io.to(room.code).emit('system:moderation', { code: room.code, action, name: target, by: user.name, ts: Date.now(), ...extra });
+  }
+
+  // Kicks remove every connection the person has in the room
+  function kickUser(room, userId) {
+    const target = connectionOf(room, userId);
+    if (!target) return;
+    announce(room, 'kick', target.user.name);
+    evict(room, userId, 'You were removed from the room');
+  }
+
+  socket.on('mod:kick', ({ code, userId } = {}) => {
+    const room = moderatedRoom(code, userId);
+    if (room) kickUser(room, userId);
+  });
+
+  socket.on('mod:ban', ({ code, userId, minutes, byIp } = {}) => {
+    const room = moderatedRoom(code, userId);
+    if (!room) return;
+    const target = connectionOf(room, userId);
+    const name = target ? target.user.name : 'Someone';
+    const targetIp = byIp && target ? target.ip : null;
+    const until = addBan(room.settings, { userId, name, ip: targetIp, minutes: cleanMinutes(minutes), by: user.id });
+    persistRoom(room);
+    announce(room, 'ban', name, { until });
+    // Drop every socket the ban now covers, including others on the same IP
+    evict(room, null, 'You were banned from the room');
+  });
+
+  socket.on('mod:unban', ({ code, userId } = {}) => {
+    const room = moderatedRoom(code);
+    if (!room) return;
+    const ban = room.settings.bans.find(b => b.userId === userId);
+    if (!ban) return;
+    if (!canLiftBan(room.settings, user.id, ban)) {
+      socket.emit('chat:error', { message: 'Only the owner or the moderator who placed a ban can lift it' });
+      return;
+    }
+    if (!removeBan(room.settings, userId)) return;
+    persistRoom(room);
+    announce(room, 'unban', ban.name || 'Someone');
+    socket.emit('mod:bans', { code: room.code, bans: publicBans(room, user.id) });
+  });
+
+  socket.on('mod:bans', ({ code } = {}) => {
+    const room = moderatedRoom(code);
+    if (room) socket.emit('mod:bans', { code: room.code, bans: publicBans(room, user.id) });
+  });
+
+  socket.on('mod:mute', ({ code, userId, minutes } = {}) => {
+    const room = moderatedRoom(code, userId);
+    if (!room) return;
+    const target = connectionOf(room, userId);
+    if (!target) return;
+    const until = addMute(room.settings, userId, cleanMinutes(minutes));
+    persistRoom(room);
+    announce(room, 'mute', target.user.name, { until });
+    emitMembers(room.code);
+  });
+
+  socket.on('mod:unmute', ({ code, userId } = {}) => {
+    const room = moderatedRoom(code, userId);
+    if (!room || !removeMute(room.settings, userId)) return;
+    persistRoom(room);
+    const target = connectionOf(room, userId);
+    announce(room, 'unmute', target ? target.user.name : 'Someone');
+    emitMembers(room.code);
+  });
+
+  socket.on('mod:remove', async ({ code: requested, id } = {}) => {
+    const room = moderatedRoom(requested);
+    if (!room || !Number.isInteger(id)) return;
+    const code = room.code;
+    try {
+      await serializeByRoom(code, async () => {
+        const msg = await store.getMessage(code, id);
+        if (!msg || msg.deleted) return;
+        if (msg.userId && msg.userId !== user.id && !canModerate(room.settings, user.id, msg.userId)) {
+          socket.emit('chat:error', { message: 'You cannot remove that message' });
+          return;
+        }
+        await tombstoneMessage(code, id, { removedBy: user.name });
+        announce(room, 'remove', msg.author);
+      });
+    } catch (e) {
+      console.error('Failed to remove message:', e);
+    }
+  });
+
+  function leaveCall() {
+    if (!callCode) return;
+    const room = rooms[callCode];
+    socket.to(callChannel(callCode)).emit('webrtc:peer-leave', { id: socket.id });
+    socket.leave(callChannel(callCode));
+    callCode = null;
+    delete socket.data.media;
+    if (room) updateCall(room);
+  }
+
+  // WebRTC signaling for mesh; a connection is in at most one room's call.
+  // The joiner gets the peers already there, wherever they are connected, with
+  // their names and media state, and the ICE servers to reach them; it hears
+  // about them before they hear about it.
+  socket.on('webrtc:join', async ({ code, audio, video } = {}) => {
+    const room = joinedRoom(code);
+    if (!room || callCode === room.code) return;
+    leaveCall();
+    callCode = room.code;
+    let sockets;
+    try {
+      sockets = await io.in(callChannel(room.code)).fetchSockets();
+    } catch (e) {
+      console.error('Failed to list call peers:', e);
+      callCode = null;
+      socket.emit('chat:error', { message: 'Could not join the call, please try again' });
+      return;
+    }
+    if (callCode !== room.code) return;
+    socket.data.media = mediaState({ audio, video });
+    socket.join(callChannel(callCode));
+    socket.emit('webrtc:peers', {
+      code: room.code,
+      peers: sockets.map(s => s.id),
+      details: Object.fromEntries(sockets.map(s => [s.id, { name: s.data.user.name, ...mediaState(s.data.media) }])),
+      iceServers: ice.forUser(user.id)
+    });
+    socket.to(callChannel(callCode)).emit('webrtc:peer-join', { id: socket.id, name: user.name, ...socket.data.media });
+    updateCall(room, { name: user.name });
+  });
+
+  // Muting or turning the camera off shows on the other side
+  socket.on('call:media', (media) => {
+    if (!callCode) return;
+    socket.data.media = mediaState(media);
+    socket.to(callChannel(callCode)).emit('call:media', { id: socket.id, ...socket.data.media });
+  });
+
+  // Only relay between sockets that share the room of the sender's call
+  socket.on('webrtc:signal', ({ targetId, data } = {}) => {
+    const room = callCode && rooms[callCode];
+    if (!room || targetId === socket.id || !roomConnections(room).some(([id]) => id === targetId)) return;
+    io.to(targetId).emit('webrtc:signal', { fromId: socket.id, data });
+  });
+
+  socket.on('webrtc:leave', leaveCall);
+
+  // A recovered connection is back in its Socket.IO rooms and has been sent
+  // what it missed; it only needs its places in the member lists back
+  if (socket.recovered) {
+    clearTimeout(pendingLeaves.get(socket.id));
+    pendingLeaves.delete(socket.id);
+    // Calls are rejoined on purpose, so drop the one it was in
+    for (const channel of Array.from(socket.rooms)) if (channel.startsWith('call:')) socket.leave(channel);
+    for (const code of socket.data.joined || []) {
+      const room = rooms[code];
+      if (!room || isBanned(room.settings, user.id, ip)) {
+        socket.leave(code);
+        socket.emit('room:removed', { code, reason: room ? 'You were banned from the room' : 'The room no longer exists' });
+        continue;
       }
+      const announce = !isRoomMember(code, user.id);
+      joined.add(code);
+      room.members.set(socket.id, user);
+      emitMembers(code);
+      if (announce) socket.to(code).emit('system:join', { code, name: user.name, ts: Date.now() });
+    }
+    issueResume();
+  }
+
+  // A dropped connection keeps its places for RESUME_GRACE_MS so a reconnect
+  // shows no leave and join; leaving on purpose counts right away
+  socket.on('disconnect', (reason) => {
+    leaveCall();
+    if (!joined.size || reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
+      leaveAllRooms();
+      return;
+    }
+    pendingLeaves.set(socket.id, setTimeout(() => {
+      pendingLeaves.delete(socket.id);
+      leaveAllRooms({ timedOut: true });
+    }, RESUME_GRACE_MS));
+    // Meanwhile it isn't counted: with no other connection the person shows as offline
+    for (const code of joined) {
+      const room = rooms[code];
+      if (!room) continue;
+      if (!isRoomMember(code, user.id)) markSeen(room, { dropped: true });
+      emitMembers(code);
     }
   });
 });
 
+await scheduler.start();
+
 server.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
 });
@@ -0,0 +1,596 @@
+// Storage backends for rooms, direct-message conversations, messages, upload
+// metadata and user accounts.
+// Pick one with STORAGE=memory|sqlite (default: memory).
+// Every backend exposes the same async interface:
+//   init(), close()
+//   listRooms() -> [{ name, code, createdAt, settings }]
+//   createRoom({ name, code, createdAt, settings })
+//   updateRoom(code, settings) -> replaces the room's settings object
+//   Messages and read cursors are keyed by `code`: a room code, or a conversation id for DMs
+//   addMessage(code, msg) -> msg with a numeric `id`
+//   getMessages(code, { before, after, limit }) -> oldest-first array of the latest `limit`
+//     messages, only those with an id below `before` / above `after` when given
+//   getMessage(code, id) -> msg or null
+//   updateMessage(code, id, patch) -> merged msg or null when missing
+//   getReplies(code, id) -> oldest-first messages whose replyTo.id is `id`
+//   searchMessages(code, filters, { before, limit }) -> newest-first live messages matching
+//     parseSearch() filters (see search.js), only those with an id below `before` when given
+//   addUpload({ filename, url, mimetype, size, originalName, roomCode, uploaderId, createdAt,
+//     width, height, thumbFilename })
+//     -> upload with a numeric `id`; `messageId` is set once a message uses it
+//   getUpload(id), updateUpload(id, patch), deleteUpload(id)
+//   listUploads({ createdBefore }) -> uploads created before the timestamp
+//   uploadUsage({ uploaderId } | { roomCode }) -> total bytes stored
+//   getReadCursors(code) -> { userId: lastReadId } for everyone who has read the room
+//   setReadCursor(code, userId, lastReadId)
+//   countUnread(code, afterId, userId) -> live messages after `afterId` not sent by `userId`
+//   createConversation({ id, members: [{ id, name, color }], createdAt }) -> no-op if it exists
+//   getConversation(id) -> { id, members, createdAt, lastMessageAt } or null
+//   listConversations(userId) -> that user's conversations, most recently active first
+//   updateConversation(id, { members, lastMessageAt })
+//   addJob({ kind, runAt, data }) -> job with a numeric `id` (timers, see scheduler.js)
+//   listJobs() -> every pending job, soonest first
+//   deleteJob(id) -> false when it was already gone
+//   createUser({ id, username, passwordHash, createdAt })
+//   getUserByUsername(username) -> user or null, matched case-insensitively
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize, matchesFilters } from './search.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function createMemoryStore() {
+  const rooms = new Map(); // code -> { name, code, createdAt, settings }
+  const messages = new Map(); // code -> Array<msg>
+  const uploads = [];
+  const users = new Map(); // lowercased username -> user
+  const reads = new Map(); // code -> Map<userId, lastReadId>
+  const wordIndex = new Map(); // code -> Map<word, Set<messageId>>
+  const conversations = new Map(); // id -> { id, members, createdAt, lastMessageAt }
+  const jobs = new Map(); // id -> { id, kind, runAt, data }
+  let nextMessageId = 1;
+  let nextUploadId = 1;
+  let nextJobId = 1;
+
+  function indexText(code, id, text, add) {
+    if (!wordIndex.has(code)) wordIndex.set(code, new Map());
+    const words = wordIndex.get(code);
+    for (const word of new Set(tokenize(text))) {
+      if (add) {
+        if (!words.has(word)) words.set(word, new Set());
+        words.get(word).add(id);
+      } else if (words.has(word)) {
+        words.get(word).delete(id);
+        if (!words.get(word).size) words.delete(word);
+      }
+    }
+  }
+
+  // Ids of messages containing a word starting with every term
+  function matchTerms(code, terms) {
+    const words = wordIndex.get(code) || new Map();
+    let result = null;
+    for (const term of terms) {
+      const ids = new Set();
+      for (const [word, set] of words) {
+        if (word.startsWith(term)) set.forEach(id => ids.add(id));
+      }
+      result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+      if (!result.size) break;
+    }
+    return result || new Set();
+  }
+
+  return {
+    kind: 'memory',
+    async init() {},
+    async close() {},
+
+    async listRooms() {
+      return Array.from(rooms.values()).map(r => ({ ...r, settings: { ...r.settings } }));
+    },
+
+    async createRoom({ name, code, createdAt, settings = {} }) {
+      rooms.set(code, { name, code, createdAt, settings: { ...settings } });
+      if (!messages.has(code)) messages.set(code, []);
+    },
+
+    async updateRoom(code, settings) {
+      const room = rooms.get(code);
+      if (room) room.settings = { ...settings };
+    },
+
+    async addMessage(code, msg) {
+      const saved = { ...msg, id: nextMessageId++ };
+      if (!messages.has(code)) messages.set(code, []);
+      messages.get(code).push(saved);
+      indexText(code, saved.id, saved.text, true);
+      return saved;
+    },
+
+    async getMessages(code, { before = null, after = null, limit = 100 } = {}) {
+      let list = messages.get(code) || [];
+      if (before != null) list = list.filter(m => m.id < before);
+      if (after != null) list = list.filter(m => m.id > after);
+      return list.slice(-limit);
+    },
+
+    async getMessage(code, id) {
+      const list = messages.get(code) || [];
+      return list.find(m => m.id === id) || null;
+    },
+
+    async updateMessage(code, id, patch) {
+      const list = messages.get(code) || [];
+      const idx = list.findIndex(m => m.id === id);
+      if (idx === -1) return null;
+      if ('text' in patch) {
+        indexText(code, id, list[idx].text, false);
+        indexText(code, id, patch.text, true);
+      }
+      list[idx] = { ...list[idx], ...patch, id };
+      return list[idx];
+    },
+
+    async getReplies(code, id) {
+      const list = messages.get(code) || [];
+      return list.filter(m => m.replyTo && m.replyTo.id === id);
+    },
+
+    async searchMessages(code, filters, { before = null, limit = 20 } = {}) {
+      let list = messages.get(code) || [];
+      if (filters.terms.length) {
+        const ids = matchTerms(code, filters.terms);
+        list = list.filter(m => ids.has(m.id));
+      }
+      return list
+        .filter(m => (before == null || m.id < before) && matchesFilters(m, filters))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    async addUpload(meta) {
+      const saved = { messageId: null, ...meta, id: nextUploadId++ };
+      uploads.push(saved);
+      return { ...saved };
+    },
+
+    async getUpload(id) {
+      const found = uploads.find(u => u.id === id);
+      return found ? { ...found } : null;
+    },
+
+    async updateUpload(id, patch) {
+      const found = uploads.find(u => u.id === id);
+      if (found) Object.assign(found, patch, { id });
+    },
+
+    async deleteUpload(id) {
+      const idx = uploads.findIndex(u => u.id === id);
+      if (idx !== -1) uploads.splice(idx, 1);
+    },
+
+    async listUploads({ createdBefore = Infinity } = {}) {
+      return uploads.filter(u => u.createdAt < createdBefore).map(u => ({ ...u }));
+    },
+
+    async uploadUsage({ uploaderId, roomCode } = {}) {
+      return uploads
+        .filter(u => (uploaderId ? u.uploaderId === uploaderId : u.roomCode === roomCode))
+        .reduce((sum, u) => sum + (u.size || 0), 0);
+    },
+
+    async createConversation({ id, members, createdAt }) {
+      if (!conversations.has(id)) conversations.set(id, { id, members, createdAt, lastMessageAt: null });
+    },
+
+    async getConversation(id) {
+      const found = conversations.get(id);
+      return found ? { ...found } : null;
+    },
+
+    async listConversations(userId) {
+      return Array.from(conversations.values())
+        .filter(c => c.members.some(m => m.id === userId))
+        .sort((a, b) => (b.lastMessageAt || b.createdAt) - (a.lastMessageAt || a.createdAt))
+        .map(c => ({ ...c }));
+    },
+
+    async updateConversation(id, patch) {
+      const found = conversations.get(id);
+      if (found) Object.assign(found, patch, { id });
+    },
+
+    async getReadCursors(code) {
+      return Object.fromEntries(reads.get(code) || []);
+    },
+
+    async setReadCursor(code, userId, lastReadId) {
+      if (!reads.has(code)) reads.set(code, new Map());
+      reads.get(code).set(userId, lastReadId);
+    },
+
+    async countUnread(code, afterId, userId) {
+      const list = messages.get(code) || [];
+      return list.filter(m => m.id > afterId && !m.deleted && m.userId !== userId).length;
+    },
+
+    async addJob({ kind, runAt, data }) {
+      const job = { id: nextJobId++, kind, runAt, data };
+      jobs.set(job.id, job);
+      return { ...job };
+    },
+
+    async listJobs() {
+      return Array.from(jobs.values()).sort((a, b) => a.runAt - b.runAt).map(j => ({ ...j }));
+    },
+
+    async deleteJob(id) {
+      return jobs.delete(id);
+    },
+
+    async createUser(user) {
+      users.set(user.username.toLowerCase(), { ...user });
+    },
+
+    async getUserByUsername(username) {
+      const user = users.get(String(username).toLowerCase());
+      return user ? { ...user } : null;
+    }
+  };
+}
+
+// Thin promise wrappers over the callback-style sqlite3 API
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS rooms (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    settings TEXT NOT NULL DEFAULT '{}'
+  )`,
+  `CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_code TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS messages_room_id ON messages (room_code, id)',
+  `CREATE TABLE IF NOT EXISTS uploads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,
+    url TEXT NOT NULL,
+    mimetype TEXT,
+    size INTEGER,
+    original_name TEXT,
+    created_at INTEGER NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS read_cursors (
+    room_code TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    last_read_id INTEGER NOT NULL,
+    PRIMARY KEY (room_code, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    user_a TEXT NOT NULL,
+    user_b TEXT NOT NULL,
+    members TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_message_at INTEGER
+  )`,
+  'CREATE INDEX IF NOT EXISTS conversations_user_a ON conversations (user_a)',
+  'CREATE INDEX IF NOT EXISTS conversations_user_b ON conversations (user_b)',
+  `CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    run_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`
+];
+
+// Full-text index over message text, keyed by message id; filled from existing
+// messages the first time it is created
+const SEARCH_TABLE = "CREATE VIRTUAL TABLE messages_fts USING fts5(text, tokenize = 'unicode61')";
+
+async function ensureSearchIndex(db) {
+  if (await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'")) return;
+  await run(db, SEARCH_TABLE);
+  await run(db, "INSERT INTO messages_fts (rowid, text) SELECT id, COALESCE(json_extract(data, '$.text'), '') FROM messages");
+}
+
+// Columns added after a table first shipped; applied to older databases on init
+const MIGRATIONS = [
+  { table: 'rooms', column: 'settings', ddl: "ALTER TABLE rooms ADD COLUMN settings TEXT NOT NULL DEFAULT '{}'" },
+  { table: 'uploads', column: 'room_code', ddl: 'ALTER TABLE uploads ADD COLUMN room_code TEXT' },
+  { table: 'uploads', column: 'uploader_id', ddl: 'ALTER TABLE uploads ADD COLUMN uploader_id TEXT' },
+  { table: 'uploads', column: 'message_id', ddl: 'ALTER TABLE uploads ADD COLUMN message_id INTEGER' },
+  { table: 'uploads', column: 'width', ddl: 'ALTER TABLE uploads ADD COLUMN width INTEGER' },
+  { table: 'uploads', column: 'height', ddl: 'ALTER TABLE uploads ADD COLUMN height INTEGER' },
+  { table: 'uploads', column: 'thumb_filename', ddl: 'ALTER TABLE uploads ADD COLUMN thumb_filename TEXT' }
+];
+
+async function migrate(db) {
+  for (const m of MIGRATIONS) {
+    const cols = await all(db, `PRAGMA table_info(${m.table})`);
+    if (!cols.some(c => c.name === m.column)) await run(db, m.ddl);
+  }
+}
+
+function rowToMessage(row) {
+  return { ...JSON.parse(row.data), id: row.id };
+}
+
+const UPLOAD_COLUMNS = {
+  filename: 'filename', url: 'url', mimetype: 'mimetype', size: 'size', originalName: 'original_name',
+  roomCode: 'room_code', uploaderId: 'uploader_id', messageId: 'message_id', createdAt: 'created_at',
+  width: 'width', height: 'height', thumbFilename: 'thumb_filename'
+};
+
+function rowToConversation(row) {
+  return { id: row.id, members: JSON.parse(row.members), createdAt: row.created_at, lastMessageAt: row.last_message_at };
+}
+
+function rowToUpload(row) {
+  const upload = { id: row.id };
+  for (const [key, col] of Object.entries(UPLOAD_COLUMNS)) upload[key] = row[col] ?? null;
+  return upload;
+}
+
+export function createSqliteStore(file) {
+  let db = null;
+
+  return {
+    kind: 'sqlite',
+    async init() {
+      let sqlite3;
+      try {
+        sqlite3 = (await import('sqlite3')).default;
+      } catch (e) {
+        throw new Error('STORAGE=sqlite requires the optional "sqlite3" package to be installed');
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = await new Promise((resolve, reject) => {
+        const handle = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(handle)));
+      });
+      // Several server instances may share the file (see cluster.js)
+      db.configure('busyTimeout', 5000);
+      for (const stmt of SCHEMA) await run(db, stmt);
+      await migrate(db);
+      await ensureSearchIndex(db);
+    },
+
+    async close() {
+      if (!db) return;
+      await new Promise((resolve) => db.close(() => resolve()));
+      db = null;
+    },
+
+    async listRooms() {
+      const rows = await all(db, 'SELECT code, name, created_at, settings FROM rooms ORDER BY created_at');
+      return rows.map(r => ({ code: r.code, name: r.name, createdAt: r.created_at, settings: JSON.parse(r.settings || '{}') }));
+    },
+
+    async createRoom({ name, code, createdAt, settings = {} }) {
+      await run(db, 'INSERT OR IGNORE INTO rooms (code, name, created_at, settings) VALUES (?, ?, ?, ?)',
+        [code, name, createdAt, JSON.stringify(settings)]);
+    },
+
+    async updateRoom(code, settings) {
+      await run(db, 'UPDATE rooms SET settings = ? WHERE code = ?', [JSON.stringify(settings), code]);
+    },
+
+    async addMessage(code, msg) {
+      const { id, ...data } = msg;
+      const { lastID } = await run(db, 'INSERT INTO messages (room_code, ts, data) VALUES (?, ?, ?)',
+        [code, data.ts, JSON.stringify(data)]);
+      await run(db, 'INSERT INTO messages_fts (rowid, text) VALUES (?, ?)', [lastID, data.text || '']);
+      return { ...data, id: lastID };
+    },
+
+    async getMessages(code, { before = null, after = null, limit = 100 } = {}) {
+      let where = 'room_code = ?';
+      const params = [code];
+      if (before != null) {
+        where += ' AND id < ?';
+        params.push(before);
+      }
+      if (after != null) {
+        where += ' AND id > ?';
+        params.push(after);
+      }
+      const rows = await all(db, `SELECT id, data FROM messages WHERE ${where} ORDER BY id DESC LIMIT ?`, [...params, limit]);
+      return rows.reverse().map(rowToMessage);
+    },
+
+    async getMessage(code, id) {
+      const row = await get(db, 'SELECT id, data FROM messages WHERE room_code = ? AND id = ?', [code, id]);
+      return row ? rowToMessage(row) : null;
+    },
+
+    async updateMessage(code, id, patch) {
+      const current = await this.getMessage(code, id);
+      if (!current) return null;
+      const { id: _id, ...data } = { ...current, ...patch };
+      await run(db, 'UPDATE messages SET data = ? WHERE room_code = ? AND id = ?', [JSON.stringify(data), code, id]);
+      if ('text' in patch) await run(db, 'UPDATE messages_fts SET text = ? WHERE rowid = ?', [data.text || '', id]);
+      return { ...data, id };
+    },
+
+    async getReplies(code, id) {
+      const rows = await all(db,
+        "SELECT id, data FROM messages WHERE room_code = ? AND json_extract(data, '$.replyTo.id') = ? ORDER BY id",
+        [code, id]);
+      return rows.map(rowToMessage);
+    },
+
+    async searchMessages(code, filters, { before = null, limit = 20 } = {}) {
+      const where = ['m.room_code = ?', "COALESCE(json_extract(m.data, '$.deleted'), 0) = 0"];
+      const params = [code];
+      let from = 'messages m';
+      if (filters.terms.length) {
+        from = 'messages_fts f JOIN messages m ON m.id = f.rowid';
+        where.push('messages_fts MATCH ?');
+        params.push(filters.terms.map(t => `"${t.replace(/"/g, '""')}"*`).join(' '));
+      }
+      if (before != null) { where.push('m.id < ?'); params.push(before); }
+      if (filters.author) { where.push("lower(json_extract(m.data, '$.author')) = lower(?)"); params.push(filters.author); }
+      if (filters.from != null) { where.push('m.ts >= ?'); params.push(filters.from); }
+      if (filters.to != null) { where.push('m.ts < ?'); params.push(filters.to); }
+      if (filters.hasImage) {
+        where.push("(json_extract(m.data, '$.imageUrl') IS NOT NULL OR json_extract(m.data, '$.attachment.kind') = 'image')");
+      }
+      const rows = await all(db,
+        `SELECT m.id, m.data FROM ${from} WHERE ${where.join(' AND ')} ORDER BY m.id DESC LIMIT ?`,
+        [...params, limit]);
+      return rows.map(rowToMessage);
+    },
+
+    async addUpload(meta) {
+      const { lastID } = await run(db,
+        `INSERT INTO uploads (filename, url, mimetype, size, original_name, room_code, uploader_id, created_at,
+           width, height, thumb_filename)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [meta.filename, meta.url, meta.mimetype || null, meta.size || null, meta.originalName || null,
+          meta.roomCode || null, meta.uploaderId || null, meta.createdAt,
+          meta.width || null, meta.height || null, meta.thumbFilename || null]);
+      return { messageId: null, ...meta, id: lastID };
+    },
+
+    async getUpload(id) {
+      const row = await get(db, 'SELECT * FROM uploads WHERE id = ?', [id]);
+      return row ? rowToUpload(row) : null;
+    },
+
+    async updateUpload(id, patch) {
+      const keys = Object.keys(patch).filter(k => UPLOAD_COLUMNS[k]);
+      if (!keys.length) return;
+      await run(db, `UPDATE uploads SET ${keys.map(k => `${UPLOAD_COLUMNS[k]} = ?`).join(', ')} WHERE id = ?`,
+        [...keys.map(k => patch[k]), id]);
+    },
+
+    async deleteUpload(id) {
+      await run(db, 'DELETE FROM uploads WHERE id = ?', [id]);
+    },
+
+    async listUploads({ createdBefore = Number.MAX_SAFE_INTEGER } = {}) {
+      const rows = await all(db, 'SELECT * FROM uploads WHERE created_at < ? ORDER BY id', [createdBefore]);
+      return rows.map(rowToUpload);
+    },
+
+    async uploadUsage({ uploaderId, roomCode } = {}) {
+      const row = uploaderId
+        ? await get(db, 'SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE uploader_id = ?', [uploaderId])
+        : await get(db, 'SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE room_code = ?', [roomCode]);
+      return row.total;
+    },
+
+    async createUser(user) {
+      await run(db, 'INSERT INTO users (id, username, password_hash, created_at) VALUES (?, ?, ?, ?)',
+        [user.id, user.username, user.passwordHash, user.createdAt]);
+    },
+
+    async createConversation({ id, members, createdAt }) {
+      await run(db,
+        'INSERT OR IGNORE INTO conversations (id, user_a, user_b, members, created_at) VALUES (?, ?, ?, ?, ?)',
+        [id, members[0].id, members[1].id, JSON.stringify(members), createdAt]);
+    },
+
+    async getConversation(id) {
+      const row = await get(db, 'SELECT * FROM conversations WHERE id = ?', [id]);
+      return row ? rowToConversation(row) : null;
+    },
+
+    async listConversations(userId) {
+      const rows = await all(db,
+        'SELECT * FROM conversations WHERE user_a = ? OR user_b = ? ORDER BY COALESCE(last_message_at, created_at) DESC',
+        [userId, userId]);
+      return rows.map(rowToConversation);
+    },
+
+    async updateConversation(id, { members, lastMessageAt }) {
+      if (members) await run(db, 'UPDATE conversations SET members = ? WHERE id = ?', [JSON.stringify(members), id]);
+      if (lastMessageAt) await run(db, 'UPDATE conversations SET last_message_at = ? WHERE id = ?', [lastMessageAt, id]);
+    },
+
+    async addJob({ kind, runAt, data }) {
+      const { lastID } = await run(db, 'INSERT INTO jobs (kind, run_at, data) VALUES (?, ?, ?)',
+        [kind, runAt, JSON.stringify(data)]);
+      return { id: lastID, kind, runAt, data };
+    },
+
+    async listJobs() {
+      const rows = await all(db, 'SELECT id, kind, run_at, data FROM jobs ORDER BY run_at, id');
+      return rows.map(r => ({ id: r.id, kind: r.kind, runAt: r.run_at, data: JSON.parse(r.data) }));
+    },
+
+    async deleteJob(id) {
+      const { changes } = await run(db, 'DELETE FROM jobs WHERE id = ?', [id]);
+      return changes > 0;
+    },
+
+    async getReadCursors(code) {
+      const rows = await all(db, 'SELECT user_id, last_read_id FROM read_cursors WHERE room_code = ?', [code]);
+      return Object.fromEntries(rows.map(r => [r.user_id, r.last_read_id]));
+    },
+
+    async setReadCursor(code, userId, lastReadId) {
+      await run(db,
+        `INSERT INTO read_cursors (room_code, user_id, last_read_id) VALUES (?, ?, ?)
+         ON CONFLICT (room_code, user_id) DO UPDATE SET last_read_id = excluded.last_read_id`,
+        [code, userId, lastReadId]);
+    },
+
+    async countUnread(code, afterId, userId) {
+      const row = await get(db,
+        `SELECT COUNT(*) AS n FROM messages WHERE room_code = ? AND id > ?
+           AND COALESCE(json_extract(data, '$.deleted'), 0) = 0 AND COALESCE(json_extract(data, '$.userId'), '') != ?`,
+        [code, afterId, userId]);
+      return row.n;
+    },
+
+    async getUserByUsername(username) {
+      const row = await get(db, 'SELECT id, username, password_hash, created_at FROM users WHERE username = ?', [username]);
+      return row ? { id: row.id, username: row.username, passwordHash: row.password_hash, createdAt: row.created_at } : null;
+    }
+  };
+}
+
+export function createStorage(env = process.env) {
+  const kind = String(env.STORAGE || 'memory').toLowerCase();
+  if (kind === 'sqlite') {
+    return createSqliteStore(env.SQLITE_FILE || path.join(__dirname, 'data', 'chat.db'));
+  }
+  if (kind !== 'memory') {
+    throw new Error(`Unknown STORAGE backend "${env.STORAGE}" (expected memory or sqlite)`);
+  }
+  return createMemoryStore();
+}
@@ -0,0 +1,102 @@
+// Upload checks and cleanup: magic-byte sniffing, quota accounting and a
+// periodic sweep of files no live message points at any more.
+
+import fs from 'fs';
+import path from 'path';
+
+const ascii = (b, start, end) => b.subarray(start, end).toString('latin1');
+
+// Signatures for the file types the upload route accepts. `ext` is what the
+// stored file gets named with, so the static server never serves it as anything else.
+const SIGNATURES = [
+  { mime: 'image/png', ext: '.png', kind: 'image', test: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/jpeg', ext: '.jpg', kind: 'image', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/gif', ext: '.gif', kind: 'image', test: (b) => b.length >= 6 && /^GIF8[79]a$/.test(ascii(b, 0, 6)) },
+  { mime: 'image/webp', ext: '.webp', kind: 'image', test: (b) => b.length >= 12 && ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+  { mime: 'application/pdf', ext: '.pdf', kind: 'file', test: (b) => ascii(b, 0, 5) === '%PDF-' },
+  { mime: 'application/zip', ext: '.zip', kind: 'file', test: (b) => b.length >= 4 && b[0] === 0x50 && b[1] === 0x4b && (b[2] === 0x03 || b[2] === 0x05) },
+  { mime: 'application/gzip', ext: '.gz', kind: 'file', test: (b) => b.length >= 2 && b[0] === 0x1f && b[1] === 0x8b },
+  { mime: 'video/mp4', ext: '.mp4', kind: 'video', test: (b) => b.length >= 12 && ascii(b, 4, 8) === 'ftyp' && ascii(b, 8, 10) !== 'qt' && !/^M4A/.test(ascii(b, 8, 11)) },
+  { mime: 'video/quicktime', ext: '.mov', kind: 'video', test: (b) => b.length >= 12 && ascii(b, 4, 8) === 'ftyp' && ascii(b, 8, 10) === 'qt' },
+  { mime: 'audio/mp4', ext: '.m4a', kind: 'audio', test: (b) => b.length >= 12 && ascii(b, 4, 8) === 'ftyp' && /^M4A/.test(ascii(b, 8, 11)) },
+  { mime: 'video/webm', ext: '.webm', kind: 'video', test: (b) => b.length >= 4 && b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3 },
+  { mime: 'audio/ogg', ext: '.ogg', kind: 'audio', test: (b) => ascii(b, 0, 4) === 'OggS' },
+  { mime: 'audio/wav', ext: '.wav', kind: 'audio', test: (b) => b.length >= 12 && ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WAVE' },
+  { mime: 'audio/mpeg', ext: '.mp3', kind: 'audio', test: (b) => ascii(b, 0, 3) === 'ID3' || (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0) }
+];
+
+const TEXT_TYPE = { mime: 'text/plain', ext: '.txt', kind: 'file' };
+const SNIFF_BYTES = 4096;
+
+// Logs and other plain text: valid UTF-8 with no NUL or stray control bytes
+function looksLikeText(b) {
+  if (!b.length) return false;
+  for (const byte of b) {
+    if (byte === 0 || (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d && byte !== 0x1b)) return false;
+  }
+  // The sample may end mid-character, so ignore a truncated tail
+  const text = b.toString('utf8');
+  return !text.slice(0, -3).includes('\ufffd');
+}
+
+// The real type of a file from its first bytes as { mime, ext, kind }, or
+// null when it is none we accept. Text is always stored as .txt.
+export async function sniffType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+    const head = buf.subarray(0, bytesRead);
+    const match = SIGNATURES.find(s => s.test(head));
+    if (match) return { mime: match.mime, ext: match.ext, kind: match.kind };
+    return looksLikeText(head) ? { ...TEXT_TYPE } : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Inline types are shown in the page; everything else downloads
+export function isInlineType(mime) {
+  return /^(image|video|audio)\//.test(mime || '');
+}
+
+export async function removeFile(dir, filename) {
+  if (!filename) return;
+  try {
+    await fs.promises.unlink(path.join(dir, path.basename(filename)));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+}
+
+// An upload is garbage once it is older than the grace period and its message
+// is gone, deleted, no longer shows it, or was never sent at all
+async function isOrphan(store, upload) {
+  if (!upload.messageId) return true;
+  const msg = await store.getMessage(upload.roomCode, upload.messageId);
+  return !msg || msg.deleted || msg.uploadId !== upload.id;
+}
+
+export function createUploadSweeper({ store, dir, graceMs, intervalMs }) {
+  async function sweep() {
+    const candidates = await store.listUploads({ createdBefore: Date.now() - graceMs });
+    let removed = 0;
+    for (const upload of candidates) {
+      if (!(await isOrphan(store, upload))) continue;
+      await removeFile(dir, upload.filename);
+      await removeFile(dir, upload.thumbFilename);
+      await store.deleteUpload(upload.id);
+      removed++;
+    }
+    return removed;
+  }
+
+  const timer = setInterval(() => {
+    sweep()
+      .then(n => { if (n) console.log(`Upload sweep removed ${n} file(s)`); })
+      .catch(e => console.error('Upload sweep failed:', e));
+  }, intervalMs);
+  timer.unref();
+
+  return { sweep, stop: () => clearInterval(timer) };
+}